@@ -0,0 +1,75 @@
+// cluster.js - Run server.js on several worker processes
+// The primary owns the port and routes each Socket.IO session to a fixed
+// worker (sticky sessions), relays broadcasts between workers and holds the
+// shared room/user state they all read through IPC.
+require('dotenv').config();
+
+const cluster = require('cluster');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { setupStatePrimary } = require('./lib/state');
+
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || 'localhost';
+const WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length;
+
+const httpServer = http.createServer();
+
+setupMaster(httpServer, {
+    loadBalancingMethod: 'least-connection'
+});
+setupPrimary();
+setupStatePrimary(cluster);
+
+cluster.setupPrimary({
+    exec: path.join(__dirname, 'server.js'),
+    serialization: 'advanced' // keep Buffers intact over IPC
+});
+
+// Only sqlite is shared between processes: the other stores keep their index
+// in each worker, so history, edits and reactions would depend on the worker
+if ((process.env.MESSAGE_STORE || 'memory') !== 'sqlite') {
+    console.error('❌ Cluster mode needs MESSAGE_STORE=sqlite so all workers share one message history');
+    process.exit(1);
+}
+
+// Stable worker indexes let each worker own its files across restarts
+const forkWorker = (index) => {
+    const worker = cluster.fork({ WORKER_INDEX: index });
+    worker.workerIndex = index;
+};
+
+for (let i = 0; i < WORKERS; i++) {
+    forkWorker(i);
+}
+
+let shuttingDown = false;
+
+cluster.on('exit', (worker, code, signal) => {
+    if (shuttingDown) return;
+
+    console.log(`💥 Worker ${worker.process.pid} died (${signal || code}), restarting`);
+    forkWorker(worker.workerIndex);
+});
+
+httpServer.listen(PORT, () => {
+    console.log(`🚀 Cluster primary ${process.pid} on http://${HOST}:${PORT} with ${WORKERS} workers`);
+});
+
+const shutdown = () => {
+    shuttingDown = true;
+    console.log('\n🛑 Stopping workers...');
+
+    for (const worker of Object.values(cluster.workers)) {
+        worker.process.kill('SIGTERM');
+    }
+
+    httpServer.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 12000).unref();
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
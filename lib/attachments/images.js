@@ -0,0 +1,50 @@
+// images.js - Image type checks and thumbnails
+// Thumbnails need the optional sharp package; without it images are stored
+// without one and clients scale the original down instead.
+
+// Leading bytes of each image type accepted for previews
+const SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // "GIF8"
+    { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] } // "RIFF....WEBP"
+];
+
+const startsWith = (data, bytes, offset = 0) => bytes.every((byte, index) => data[offset + index] === byte);
+
+// The image type a file really is, judging by its contents, or null
+const detectImageType = (data) => {
+    const match = SIGNATURES.find(signature => {
+        return startsWith(data, signature.bytes) && (!signature.at8 || startsWith(data, signature.at8, 8));
+    });
+    return match ? match.mimeType : null;
+};
+
+let sharp;
+const loadSharp = () => {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (error) {
+            sharp = null;
+            console.log('⚠️ Image thumbnails are disabled: the "sharp" package is not installed. Run: npm install sharp');
+        }
+    }
+    return sharp;
+};
+
+// Scale an image down to fit in size x size. Resolves to { data, mimeType },
+// or null when it isn't an image or thumbnails are unavailable.
+const createThumbnail = async (data, size = 320) => {
+    if (!detectImageType(data) || !loadSharp()) return null;
+
+    const thumbnail = await sharp(data)
+        .rotate() // honour EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    return { data: thumbnail, mimeType: 'image/webp' };
+};
+
+module.exports = { detectImageType, createThumbnail };
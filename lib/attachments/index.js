@@ -0,0 +1,34 @@
+// attachments/index.js - Attachment storage factory
+//
+// Uploaded files live behind a storage driver so they can move off the local
+// disk (e.g. to object storage) without touching the server. Every driver
+// implements the same interface, returning Promises:
+//   save(attachment, data)    store a file's bytes and its record:
+//                             { id, room, filename, mimeType, size, uploadedBy, uploadedAt }
+//   saveThumbnail(id, data, mimeType)
+//                             store a preview image for an attachment
+//   get(id)                   the attachment's record (with `thumbnail` once one
+//                             is stored, and `messageId` once it is sent), or null
+//   claim(id, messageId)      mark an attachment as sent with a message; false if
+//                             it already was, so each file belongs to one message
+//   read(id, variant)         the bytes of 'original' or 'thumbnail', or null
+//   remove(id)                delete the file, its thumbnail, its record and claim
+//   removeUnsent(before)      delete attachments uploaded before `before` (ms)
+//                             and never claimed -> their records
+// Attachment ids are generated by the server and are opaque to drivers.
+const createLocalStore = require('./localStore');
+
+const createAttachmentStore = (options = {}) => {
+    const driver = (options.driver || 'local').toLowerCase();
+
+    switch (driver) {
+        case 'local':
+        case 'disk':
+            return createLocalStore(options);
+
+        default:
+            throw new Error(`Unknown attachment storage driver: ${driver}`);
+    }
+};
+
+module.exports = { createAttachmentStore };
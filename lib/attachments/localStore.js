@@ -0,0 +1,119 @@
+// localStore.js - Attachments on the local disk
+// Each attachment is up to four files in one directory: the upload itself, an
+// optional thumbnail, a JSON record and, once sent, the id of its message.
+const fs = require('fs');
+const path = require('path');
+
+// Ids come from the server, but they end up in file names: refuse anything else
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+const createLocalStore = (options = {}) => {
+    const directory = path.resolve(options.path || path.join('data', 'attachments'));
+    fs.mkdirSync(directory, { recursive: true });
+
+    const fileFor = (id, suffix = '') => {
+        if (!ID_PATTERN.test(String(id))) return null;
+        return path.join(directory, `${id}${suffix}`);
+    };
+
+    const readFile = async (file) => {
+        try {
+            return await fs.promises.readFile(file);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    const readRecord = async (id) => {
+        const file = fileFor(id, '.json');
+        const data = file ? await readFile(file) : null;
+        return data ? JSON.parse(data.toString('utf8')) : null;
+    };
+
+    const writeRecord = (record) => {
+        return fs.promises.writeFile(fileFor(record.id, '.json'), JSON.stringify(record));
+    };
+
+    // Created exclusively, so two workers can't both claim one attachment
+    const claim = async (id, messageId) => {
+        if (!(await readRecord(id))) return false;
+
+        try {
+            await fs.promises.writeFile(fileFor(id, '.used'), String(messageId), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        }
+    };
+
+    const remove = async (id) => {
+        if (!fileFor(id)) return;
+
+        await Promise.all(['', '.thumb', '.json', '.used'].map(suffix => {
+            return fs.promises.rm(fileFor(id, suffix), { force: true });
+        }));
+    };
+
+    console.log(`📎 Storing attachments in ${directory}`);
+
+    return {
+        driver: 'local',
+
+        async save(attachment, data) {
+            if (!fileFor(attachment.id)) {
+                throw new Error(`Invalid attachment id: ${attachment.id}`);
+            }
+
+            await fs.promises.writeFile(fileFor(attachment.id), data);
+            await writeRecord(attachment);
+            return { ...attachment };
+        },
+
+        async saveThumbnail(id, data, mimeType) {
+            const record = await readRecord(id);
+            if (!record) return null;
+
+            await fs.promises.writeFile(fileFor(id, '.thumb'), data);
+            record.thumbnail = { mimeType, size: data.length };
+            await writeRecord(record);
+            return record;
+        },
+
+        async get(id) {
+            const record = await readRecord(id);
+            if (!record) return null;
+
+            const used = await readFile(fileFor(id, '.used'));
+            return { ...record, messageId: used ? used.toString('utf8') : null };
+        },
+
+        claim,
+
+        async read(id, variant = 'original') {
+            const file = fileFor(id, variant === 'thumbnail' ? '.thumb' : '');
+            return file ? readFile(file) : null;
+        },
+
+        remove,
+
+        // Claimed before they go, so a message can't take one meanwhile
+        async removeUnsent(before) {
+            const removed = [];
+            for (const file of await fs.promises.readdir(directory)) {
+                const id = file.endsWith('.json') ? file.slice(0, -'.json'.length) : null;
+                if (!id || !fileFor(id)) continue;
+
+                const record = await readRecord(id).catch(() => null);
+                if (!record || Date.parse(record.uploadedAt) >= before || !(await claim(id, 'expired'))) continue;
+
+                await remove(id);
+                removed.push(record);
+            }
+            return removed;
+        }
+    };
+};
+
+module.exports = createLocalStore;
@@ -0,0 +1,172 @@
+// auth.js - Signed token verification
+// Browser clients present an HS256 JWT issued by the Laravel app and signed
+// with the shared AUTH_TOKEN_SECRET. Backend (Laravel) clients authenticate
+// with LARAVEL_CLIENT_TOKEN.
+const crypto = require('crypto');
+
+// Constant-time comparison for strings of any length
+const safeEqual = (a, b) => {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Hex HMAC-SHA256 of a payload
+const signPayload = (payload, secret) => {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// How far a signed timestamp may be from now, in seconds. A signature can be
+// replayed until then, so nonces must be remembered for twice as long.
+const MAX_SIGNATURE_SKEW = 300;
+
+// Reject signatures made too long ago (or too far in the future)
+const assertFreshTimestamp = (timestamp, maxSkew = MAX_SIGNATURE_SKEW) => {
+    const sentAt = Number(timestamp);
+
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > maxSkew) {
+        throw new Error('Signature timestamp out of range');
+    }
+};
+
+// Nonces are chosen by the signer, but they end up in signed strings and logs
+const assertValidNonce = (nonce) => {
+    if (typeof nonce !== 'string' || !/^[A-Za-z0-9_-]{8,128}$/.test(nonce)) {
+        throw new Error('Invalid nonce');
+    }
+};
+
+// Room passwords are stored as "scrypt$<salt>$<hash>" (hex)
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 32);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+const decodeSegment = (segment) => {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+};
+
+const verifyToken = (token, secret, options = {}) => {
+    if (typeof token !== 'string' || token.split('.').length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+
+    let header, claims;
+    try {
+        header = decodeSegment(headerSegment);
+        claims = decodeSegment(payloadSegment);
+    } catch (error) {
+        throw new Error('Malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw new Error(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const expected = crypto.createHmac('sha256', secret)
+        .update(`${headerSegment}.${payloadSegment}`)
+        .digest();
+    const signature = Buffer.from(signatureSegment, 'base64url');
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw new Error('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const leeway = options.leeway || 0;
+
+    if (typeof claims.exp !== 'number') {
+        throw new Error('Token has no expiry');
+    }
+    if (now > claims.exp + leeway) {
+        throw new Error('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now + leeway < claims.nbf) {
+        throw new Error('Token not yet valid');
+    }
+    if (options.issuer && claims.iss !== options.issuer) {
+        throw new Error('Invalid token issuer');
+    }
+
+    return claims;
+};
+
+// Backend clients send either the shared token itself or an HMAC signature
+// of a recent unix timestamp and a nonce they never reuse: hex HMAC-SHA256 of
+// "laravel-client:<timestamp>:<nonce>". The caller rejects nonces seen before.
+const verifyBackendCredentials = (credentials, secret, options = {}) => {
+    if (!secret) {
+        throw new Error('LARAVEL_CLIENT_TOKEN is not configured');
+    }
+
+    const { token, timestamp, nonce, signature } = credentials || {};
+
+    if (token) {
+        if (!safeEqual(token, secret)) {
+            throw new Error('Invalid client token');
+        }
+        return true;
+    }
+
+    if (timestamp && signature) {
+        assertFreshTimestamp(timestamp, options.maxSkew);
+        assertValidNonce(nonce);
+        if (!safeEqual(signature, signPayload(`laravel-client:${timestamp}:${nonce}`, secret))) {
+            throw new Error('Invalid client signature');
+        }
+        return true;
+    }
+
+    throw new Error('Missing client credentials');
+};
+
+// Signed HTTP requests, to and from the backend, carry X-Timestamp (unix
+// seconds), X-Nonce (unique per request) and X-Signature: hex HMAC-SHA256 of
+// "<METHOD>\n<path and query>\n<timestamp>\n<nonce>\n<raw body>"
+const signRequest = ({ method, path, timestamp, nonce, body }, secret) => {
+    const payload = [String(method).toUpperCase(), path, timestamp, nonce, body ? body.toString('utf8') : ''].join('\n');
+    return signPayload(payload, secret);
+};
+
+// The caller rejects nonces seen before
+const verifyRequestSignature = ({ method, path, timestamp, nonce, signature, body }, secret, options = {}) => {
+    if (!secret) {
+        throw new Error('LARAVEL_CLIENT_TOKEN is not configured');
+    }
+    if (!timestamp || !nonce || !signature) {
+        throw new Error('Missing signature headers');
+    }
+
+    assertFreshTimestamp(timestamp, options.maxSkew);
+    assertValidNonce(nonce);
+
+    if (!safeEqual(signature, signRequest({ method, path, timestamp, nonce, body }, secret))) {
+        throw new Error('Invalid request signature');
+    }
+
+    return true;
+};
+
+module.exports = {
+    verifyToken,
+    verifyBackendCredentials,
+    verifyRequestSignature,
+    signRequest,
+    signPayload,
+    MAX_SIGNATURE_SKEW,
+    safeEqual,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,111 @@
+// commands.js - Slash command registry and argument parsing
+//
+// Chat input starting with "/" is a command; "//" escapes a literal slash.
+// A command is registered as:
+//   {
+//     description: 'Send a private message',
+//     args: [{ name: 'username' }, { name: 'message', rest: true }],
+//     permission: 'member',      // lowest room role allowed, or (args) => role
+//     aliases: ['msg'],
+//     run(context)               // context.args holds the parsed arguments
+//   }
+// Arguments are separated by spaces; "double quotes" group words. A `rest`
+// argument takes the remaining text as typed. Optional arguments may be
+// left out at the end.
+
+// Split text into words, keeping quoted groups together, with the offset of
+// each word so a rest argument can take the raw remainder
+const tokenize = (text) => {
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ value: match[1] !== undefined ? match[1] : match[2], index: match.index });
+    }
+    return tokens;
+};
+
+const describeArg = (arg) => {
+    const name = arg.rest ? `${arg.name}...` : arg.name;
+    return arg.optional ? `[${name}]` : `<${name}>`;
+};
+
+const createCommandRegistry = () => {
+    const commands = new Map(); // name -> command
+    const aliases = new Map(); // alias -> name
+
+    const find = (name) => commands.get(aliases.get(name) || name) || null;
+
+    const usageOf = (command) => {
+        return [`/${command.name}`, ...command.args.map(describeArg)].join(' ');
+    };
+
+    const parseArgs = (command, text) => {
+        const tokens = tokenize(text);
+        const args = {};
+
+        for (const [position, arg] of command.args.entries()) {
+            const token = tokens[position];
+
+            if (!token) {
+                if (!arg.optional) return null;
+                continue;
+            }
+
+            args[arg.name] = arg.rest ? text.slice(token.index).trim() : token.value;
+            if (arg.rest) return args;
+        }
+
+        // Extra words only fit when the last argument takes the rest
+        return tokens.length > command.args.length ? null : args;
+    };
+
+    return {
+        register(name, command) {
+            const entry = { name, args: [], permission: 'member', aliases: [], ...command };
+            commands.set(name, entry);
+            entry.aliases.forEach(alias => aliases.set(alias, name));
+        },
+
+        // Parse chat input. Returns null when it isn't a command, { error } for
+        // an unknown command or bad arguments, else { command, args }.
+        parse(input) {
+            if (typeof input !== 'string' || !input.startsWith('/') || input.startsWith('//')) {
+                return null;
+            }
+
+            const [, name = '', text = ''] = input.match(/^\/(\S*)\s*([\s\S]*)$/);
+            const command = find(name.toLowerCase());
+            if (!command) {
+                return { error: `Unknown command /${name}. Type /help for a list of commands.` };
+            }
+
+            const args = parseArgs(command, text);
+            if (!args) {
+                return { error: `Usage: ${usageOf(command)}` };
+            }
+
+            return { command, args };
+        },
+
+        // The role needed to run a command with these arguments
+        permissionFor(command, args) {
+            return typeof command.permission === 'function' ? command.permission(args) : command.permission;
+        },
+
+        get(name) {
+            return find(String(name).replace(/^\//, '').toLowerCase());
+        },
+
+        usage(command) {
+            return usageOf(command);
+        },
+
+        list() {
+            return Array.from(commands.values());
+        }
+    };
+};
+
+module.exports = { createCommandRegistry };
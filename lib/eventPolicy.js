@@ -0,0 +1,124 @@
+// eventPolicy.js - Which events the backend may emit, and what they may carry
+//
+// An event is accepted when it is not reserved and is either on the allowlist
+// or starts with the configured namespace prefix. Payloads are capped in size
+// and checked against a per-event schema when one exists. A schema looks like:
+//   { maxBytes: 8192, fields: { content: { type: 'string', required: true, maxLength: 500 } } }
+const fs = require('fs');
+
+// Events the server itself owns; letting the backend emit them would spoof
+// server state or Socket.IO internals
+const RESERVED_EVENTS = new Set([
+    'connect', 'connect_error', 'disconnect', 'disconnecting',
+    'newListener', 'removeListener', 'error',
+    'server_shutdown', 'joined', 'room_changed', 'message_history', 'history_page',
+    'users_update', 'rooms_list', 'room_users', 'room_joined', 'room_left', 'pong',
+    'message_edited', 'message_deleted', 'reactions_updated',
+    'thread', 'thread_updated', 'read_receipt',
+    'conversations', 'conversation_history', 'private_message_sent', 'rate_limited',
+    'room_moderation', 'moderated', 'room_topic', 'user_renamed', 'command_response', 'nick_changed',
+    'room_info', 'room_updated', 'room_invitation', 'presence_changed', 'status_changed', 'presence',
+    'mentioned', 'mentions',
+    'laravel_connected', 'laravel_auth_failed', 'laravel_rejected'
+]);
+
+const defaultSchemas = (maxMessageLength) => ({
+    receive_message: {
+        fields: {
+            id: { type: ['string', 'number'], required: true },
+            username: { type: 'string', required: true, maxLength: 100 },
+            content: { type: 'string', required: true, maxLength: maxMessageLength },
+            timestamp: { type: 'string' }
+        }
+    }
+});
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+const validateFields = (payload, fields) => {
+    if (typeOf(payload) !== 'object') {
+        return 'payload must be an object';
+    }
+
+    for (const [name, rule] of Object.entries(fields)) {
+        const value = payload[name];
+
+        if (value === undefined || value === null) {
+            if (rule.required) return `${name} is required`;
+            continue;
+        }
+
+        const types = [].concat(rule.type || []);
+        if (types.length && !types.includes(typeOf(value))) {
+            return `${name} must be of type ${types.join(' or ')}`;
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+            return `${name} exceeds ${rule.maxLength} characters`;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            return `${name} must be one of ${rule.enum.join(', ')}`;
+        }
+    }
+
+    return null;
+};
+
+const loadSchemaFile = (filePath) => {
+    if (!filePath) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load event schemas from ${filePath}: ${error.message}`);
+    }
+};
+
+const createEventPolicy = (options = {}) => {
+    const allowlist = new Set(options.allowlist || []);
+    const prefix = options.prefix || '';
+    const maxPayloadBytes = options.maxPayloadBytes || 16 * 1024;
+    const schemas = {
+        ...defaultSchemas(options.maxMessageLength || 500),
+        ...loadSchemaFile(options.schemaFile)
+    };
+
+    return {
+        // Returns a rejection reason, or null when the event may be emitted
+        check(event, payload) {
+            if (RESERVED_EVENTS.has(event)) {
+                return `Event "${event}" is reserved`;
+            }
+            if (!allowlist.has(event) && !(prefix && event.startsWith(prefix))) {
+                return `Event "${event}" is not allowed`;
+            }
+
+            const schema = schemas[event] || {};
+            const size = Buffer.byteLength(JSON.stringify(payload === undefined ? null : payload));
+            const limit = schema.maxBytes || maxPayloadBytes;
+
+            if (size > limit) {
+                return `Payload for "${event}" is ${size} bytes (limit ${limit})`;
+            }
+
+            if (schema.fields) {
+                const fieldError = validateFields(payload, schema.fields);
+                if (fieldError) {
+                    return `Invalid payload for "${event}": ${fieldError}`;
+                }
+            }
+
+            return null;
+        },
+
+        describe() {
+            return {
+                allowlist: Array.from(allowlist),
+                prefix: prefix || null,
+                maxPayloadBytes,
+                schemas: Object.keys(schemas)
+            };
+        }
+    };
+};
+
+module.exports = { createEventPolicy };
@@ -0,0 +1,23 @@
+// mentions.js - Finding @mentions in message text
+//
+// "@alice" mentions one user, "@here" everyone active in the room and
+// "@room" everyone in it. The group words win over users with those names.
+
+const MENTION_PATTERN = /(?:^|[^\w@])@([a-zA-Z0-9_-]+)/g;
+const GROUP_MENTIONS = ['room', 'here']; // widest first
+
+// Returns { usernames: [lowercased, without groups], group: 'room' | 'here' | null }
+const parseMentions = (content) => {
+    if (typeof content !== 'string') {
+        return { usernames: [], group: null };
+    }
+
+    const names = new Set(Array.from(content.matchAll(MENTION_PATTERN), match => match[1].toLowerCase()));
+
+    return {
+        usernames: Array.from(names).filter(name => !GROUP_MENTIONS.includes(name)),
+        group: GROUP_MENTIONS.find(group => names.has(group)) || null
+    };
+};
+
+module.exports = { MENTION_PATTERN, parseMentions };
@@ -0,0 +1,45 @@
+// duplicateFilter.js - Refuse the same message sent over and over
+//
+// A sender may repeat a message `maxRepeats` times within `windowSeconds`;
+// further copies are refused. Content is compared ignoring case and spacing,
+// along with any attached files. Edits and messages without a sender (e.g.
+// from Laravel) are not counted.
+
+const normalize = (message) => {
+    const attachments = (message.attachments || []).map(attachment => attachment.id).join(',');
+    return `${message.content.toLowerCase().replace(/\s+/g, ' ').trim()}|${attachments}`;
+};
+
+const createDuplicateFilter = (options = {}) => {
+    const maxRepeats = options.maxRepeats || 2;
+    const window = (options.windowSeconds || 30) * 1000;
+    const recent = new Map(); // sender key -> [{ content, at }]
+
+    return {
+        process(message, context) {
+            if (!context.senderKey || context.kind === 'edit' || typeof message.content !== 'string') return null;
+
+            const now = Date.now();
+            const content = normalize(message);
+            const sent = (recent.get(context.senderKey) || []).filter(entry => entry.at > now - window);
+
+            if (sent.filter(entry => entry.content === content).length >= maxRepeats) {
+                recent.set(context.senderKey, sent);
+                return { reject: 'You already sent that message' };
+            }
+
+            sent.push({ content, at: now });
+            recent.set(context.senderKey, sent);
+
+            // Forget senders that have gone quiet so the map stays small
+            if (recent.size > 1000) {
+                for (const [key, entries] of recent) {
+                    if (entries.every(entry => entry.at <= now - window)) recent.delete(key);
+                }
+            }
+            return null;
+        }
+    };
+};
+
+module.exports = createDuplicateFilter;
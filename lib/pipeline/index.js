@@ -0,0 +1,96 @@
+// pipeline/index.js - Inbound message processing pipeline
+//
+// Every message from a browser or from Laravel passes through the pipeline
+// before it is broadcast or stored. A stage is { name, process(message, context) }
+// and returns nothing to pass the message on unchanged, or an object with any of:
+//   changes   fields merged into the message (e.g. { content: masked })
+//   reject    reason the message is refused; later stages are skipped
+//   flag      reason the message is let through but reported for review
+// The context describes where the message came from:
+//   { kind: 'room' | 'private' | 'edit' | 'laravel', room, senderKey }
+// Stages run synchronously, in order, so messages keep their order.
+//
+// Built-in stages are chosen by name; anything else in the list is the path
+// of a module exporting a stage factory: (options) => stage. Each stage gets
+// the options under its own name, e.g. { words: { list, mode } }.
+const path = require('path');
+const createWordFilter = require('./wordFilter');
+const createLinkFilter = require('./linkFilter');
+const createMentionLimit = require('./mentionLimit');
+const createDuplicateFilter = require('./duplicateFilter');
+
+const BUILT_IN_STAGES = {
+    words: createWordFilter,
+    links: createLinkFilter,
+    mentions: createMentionLimit,
+    // Last, so refused messages don't count as sent
+    duplicates: createDuplicateFilter
+};
+
+const loadStage = (name, options) => {
+    const factory = BUILT_IN_STAGES[name] || require(path.resolve(name));
+    const stage = factory(options);
+
+    if (!stage || typeof stage.process !== 'function') {
+        throw new Error(`Message filter "${name}" does not export a stage factory`);
+    }
+    return { name, ...stage };
+};
+
+const createMessagePipeline = (options = {}) => {
+    const stages = (options.stages || Object.keys(BUILT_IN_STAGES))
+        .map(name => loadStage(name, options[name] || {}));
+
+    const stats = {
+        processed: 0,
+        rejected: 0,
+        flagged: 0,
+        rejectedByStage: {},
+        flaggedByStage: {}
+    };
+
+    return {
+        // Add a stage at the end of the pipeline
+        use(stage) {
+            stages.push({ name: stage.name || `custom${stages.length}`, ...stage });
+        },
+
+        // Returns { message, rejected: { stage, reason } or null, flags: [{ stage, reason }] }
+        process(message, context = {}) {
+            let current = message;
+            const flags = [];
+            stats.processed++;
+
+            for (const stage of stages) {
+                const result = stage.process(current, context) || {};
+
+                if (result.reject) {
+                    stats.rejected++;
+                    stats.rejectedByStage[stage.name] = (stats.rejectedByStage[stage.name] || 0) + 1;
+                    return { message: current, rejected: { stage: stage.name, reason: result.reject }, flags };
+                }
+                if (result.changes) {
+                    current = { ...current, ...result.changes };
+                }
+                if (result.flag) {
+                    flags.push({ stage: stage.name, reason: result.flag });
+                    stats.flaggedByStage[stage.name] = (stats.flaggedByStage[stage.name] || 0) + 1;
+                }
+            }
+
+            if (flags.length) {
+                stats.flagged++;
+            }
+            return { message: current, rejected: null, flags };
+        },
+
+        status() {
+            return {
+                stages: stages.map(stage => stage.name),
+                ...stats
+            };
+        }
+    };
+};
+
+module.exports = { createMessagePipeline };
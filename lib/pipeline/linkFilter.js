@@ -0,0 +1,39 @@
+// linkFilter.js - Refuse links in selected rooms
+//
+// `rooms` lists the rooms where links are blocked ('*' for every room and
+// direct messages); links to `allowedDomains` (and their subdomains) are
+// always let through.
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>]+/gi;
+
+const hostOf = (link) => {
+    try {
+        return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+};
+
+const createLinkFilter = (options = {}) => {
+    const rooms = new Set(options.rooms || []);
+    const allowedDomains = (options.allowedDomains || []).map(domain => domain.toLowerCase());
+
+    const isAllowed = (link) => {
+        const host = hostOf(link);
+        return Boolean(host) && allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    };
+
+    return {
+        process(message, context) {
+            if (typeof message.content !== 'string') return null;
+            if (!rooms.has('*') && !(context.room && rooms.has(context.room))) return null;
+
+            const links = message.content.match(LINK_PATTERN) || [];
+            if (links.every(isAllowed)) return null;
+
+            return { reject: context.room ? `Links are not allowed in ${context.room}` : 'Links are not allowed' };
+        }
+    };
+};
+
+module.exports = createLinkFilter;
@@ -0,0 +1,19 @@
+// mentionLimit.js - Refuse messages that @mention too many people
+const { MENTION_PATTERN } = require('../mentions');
+
+const createMentionLimit = (options = {}) => {
+    const maxMentions = options.maxMentions || 5;
+
+    return {
+        process(message) {
+            if (typeof message.content !== 'string') return null;
+
+            const mentioned = new Set(Array.from(message.content.matchAll(MENTION_PATTERN), match => match[1].toLowerCase()));
+            if (mentioned.size <= maxMentions) return null;
+
+            return { reject: `Too many mentions (at most ${maxMentions} people per message)` };
+        }
+    };
+};
+
+module.exports = createMentionLimit;
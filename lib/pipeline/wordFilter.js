@@ -0,0 +1,34 @@
+// wordFilter.js - Mask (or refuse, or flag) words from a block list
+//
+// Words match whole and case-insensitively. In 'mask' mode each match is
+// replaced by asterisks of the same length.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createWordFilter = (options = {}) => {
+    const words = (options.list || []).map(word => word.trim()).filter(Boolean);
+    const mode = options.mode || 'mask';
+
+    if (!['mask', 'reject', 'flag'].includes(mode)) {
+        throw new Error(`Unknown word filter mode: ${mode}`);
+    }
+
+    const pattern = words.length
+        ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+        : null;
+
+    return {
+        process(message) {
+            if (!pattern || typeof message.content !== 'string') return null;
+
+            const masked = message.content.replace(pattern, match => '*'.repeat(match.length));
+            if (masked === message.content) return null;
+
+            if (mode === 'reject') return { reject: 'Message contains blocked words' };
+            if (mode === 'flag') return { flag: 'Contains blocked words' };
+            return { changes: { content: masked } };
+        }
+    };
+};
+
+module.exports = createWordFilter;
@@ -0,0 +1,234 @@
+// rateLimiter.js - Token-bucket rate limiting and temporary bans
+//
+// Every event has a rule { capacity, perSecond }: a bucket holds up to
+// `capacity` tokens and refills at `perSecond`. Each event costs one token
+// from the socket's, the user's and the remote address's bucket, in that
+// order; once one is empty the wider ones are left alone, so a single flooder
+// doesn't drain the bucket their neighbours share. An address bucket is
+// `ipMultiplier` times larger because several users can share one (NAT,
+// offices). An event with no rule of its own uses the `default` rule.
+//
+// Each rejected event is a strike against the user, and against the address
+// only when the address bucket itself ran out. Too many strikes inside the
+// strike window ban for `banSeconds`: `banThreshold` for a user,
+// `addressBanThreshold` (by default `ipMultiplier` times more) for an address,
+// since banning one locks out everyone behind it.
+//
+// State is per process; under cluster.js each worker limits on its own.
+
+const DEFAULT_RULES = {
+    default: { capacity: 30, perSecond: 5 },
+    connection: { capacity: 20, perSecond: 1 },
+    join: { capacity: 5, perSecond: 0.2 },
+    send_message: { capacity: 10, perSecond: 1 },
+    send_private_message: { capacity: 10, perSecond: 1 },
+    typing: { capacity: 10, perSecond: 2 },
+    stop_typing: { capacity: 10, perSecond: 2 },
+    change_room: { capacity: 10, perSecond: 0.5 },
+    join_room: { capacity: 10, perSecond: 0.5 },
+    get_rooms: { capacity: 10, perSecond: 1 },
+    get_room_users: { capacity: 10, perSecond: 1 },
+    load_history: { capacity: 10, perSecond: 1 },
+    load_conversation: { capacity: 10, perSecond: 1 },
+    get_conversations: { capacity: 10, perSecond: 1 },
+    get_mentions: { capacity: 10, perSecond: 1 },
+    upload_attachment: { capacity: 5, perSecond: 0.1 } // HTTP uploads, see server.js
+};
+
+const isValidRule = (rule) => {
+    return rule && Number(rule.capacity) > 0 && Number(rule.perSecond) > 0;
+};
+
+const createRateLimiter = (options = {}) => {
+    const enabled = options.enabled !== false;
+    const ipMultiplier = options.ipMultiplier || 5;
+    const banThreshold = options.banThreshold || 20;
+    const addressBanThreshold = options.addressBanThreshold || Math.ceil(banThreshold * ipMultiplier);
+    const strikeWindow = (options.strikeWindowSeconds || 60) * 1000;
+    const banDuration = (options.banSeconds || 600) * 1000;
+
+    const rules = { ...DEFAULT_RULES };
+    for (const [event, rule] of Object.entries(options.rules || {})) {
+        if (!isValidRule(rule)) {
+            throw new Error(`Invalid rate limit for "${event}": expected { capacity, perSecond }`);
+        }
+        rules[event] = { capacity: Number(rule.capacity), perSecond: Number(rule.perSecond) };
+    }
+
+    const buckets = new Map(); // "<event>|<scope>:<id>" -> { tokens, updatedAt }
+    const strikes = new Map(); // "<scope>:<id>" -> timestamps of recent rejections
+    const bans = new Map(); // "<scope>:<id>" -> banned until (ms)
+
+    const stats = {
+        allowed: 0,
+        rejected: 0,
+        rejectedByEvent: {},
+        bansIssued: 0,
+        lastBanAt: null
+    };
+
+    const ruleFor = (event) => rules[event] || rules.default;
+
+    // Take a token from one bucket, or report how long until one is available
+    const take = (bucketKey, capacity, perSecond, now) => {
+        const bucket = buckets.get(bucketKey) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+        bucket.updatedAt = now;
+        buckets.set(bucketKey, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+    };
+
+    const scopesOf = ({ socketId, userKey, address }) => {
+        const scopes = [];
+        if (socketId) scopes.push({ scope: 'socket', key: `socket:${socketId}`, multiplier: 1 });
+        if (userKey) scopes.push({ scope: 'user', key: `user:${userKey}`, multiplier: 1 });
+        if (address) scopes.push({ scope: 'address', key: `address:${address}`, multiplier: ipMultiplier });
+        return scopes;
+    };
+
+    // Drop buckets that have refilled completely, expired strikes and bans
+    const prune = () => {
+        const now = Date.now();
+
+        for (const [bucketKey, bucket] of buckets) {
+            const event = bucketKey.slice(0, bucketKey.indexOf('|'));
+            const { capacity, perSecond } = ruleFor(event);
+            if ((now - bucket.updatedAt) / 1000 * perSecond >= capacity * ipMultiplier) {
+                buckets.delete(bucketKey);
+            }
+        }
+        for (const [key, times] of strikes) {
+            if (times[times.length - 1] <= now - strikeWindow) strikes.delete(key);
+        }
+        for (const [key, until] of bans) {
+            if (until <= now) bans.delete(key);
+        }
+    };
+
+    const timer = setInterval(prune, 60 * 1000);
+    timer.unref();
+
+    const banRemaining = (key, now) => {
+        const until = bans.get(key);
+        if (!until) return 0;
+        if (until <= now) {
+            bans.delete(key);
+            return 0;
+        }
+        return until - now;
+    };
+
+    const strike = (key, threshold, now) => {
+        const recent = (strikes.get(key) || []).filter(time => time > now - strikeWindow);
+        recent.push(now);
+        strikes.set(key, recent);
+
+        if (recent.length < threshold) return false;
+
+        strikes.delete(key);
+        bans.set(key, now + banDuration);
+        return true;
+    };
+
+    return {
+        enabled,
+
+        // Spend one token for an event from every identity that sent it:
+        // { socketId, userKey, address }. Returns null when allowed, or
+        // { event, scope, retryAfter (ms), banned, banRemaining (ms) }.
+        consume(event, identity) {
+            if (!enabled) return null;
+
+            const now = Date.now();
+            const scopes = scopesOf(identity);
+
+            const banned = scopes
+                .map(({ scope, key }) => ({ scope, remaining: banRemaining(key, now) }))
+                .find(({ remaining }) => remaining > 0);
+            if (banned) {
+                return { event, scope: banned.scope, retryAfter: banned.remaining, banned: true, banRemaining: banned.remaining };
+            }
+
+            const { capacity, perSecond } = ruleFor(event);
+            let limited = null;
+
+            for (const { scope, key, multiplier } of scopes) {
+                const wait = take(`${event}|${key}`, capacity * multiplier, perSecond * multiplier, now);
+                if (wait > 0) {
+                    limited = { scope, retryAfter: wait };
+                    break;
+                }
+            }
+
+            if (!limited) {
+                stats.allowed++;
+                return null;
+            }
+
+            stats.rejected++;
+            stats.rejectedByEvent[event] = (stats.rejectedByEvent[event] || 0) + 1;
+
+            // Strikes go against the user, which outlives a socket, and against
+            // the address only when everyone behind it together went too fast
+            let banIssued = false;
+            for (const { scope, key } of scopes) {
+                if (scope === 'user' && strike(key, banThreshold, now)) banIssued = true;
+                if (scope === 'address' && limited.scope === 'address' && strike(key, addressBanThreshold, now)) banIssued = true;
+            }
+            if (banIssued) {
+                stats.bansIssued++;
+                stats.lastBanAt = new Date(now).toISOString();
+            }
+
+            return {
+                event,
+                scope: limited.scope,
+                retryAfter: banIssued ? banDuration : limited.retryAfter,
+                banned: banIssued,
+                banRemaining: banIssued ? banDuration : 0
+            };
+        },
+
+        // Milliseconds left on a ban for { userKey, address }, or 0
+        banRemaining(identity) {
+            const now = Date.now();
+            return Math.max(0, ...scopesOf(identity).map(({ key }) => banRemaining(key, now)));
+        },
+
+        // Forget a socket's own buckets once it disconnects
+        releaseSocket(socketId) {
+            const suffix = `|socket:${socketId}`;
+            for (const bucketKey of buckets.keys()) {
+                if (bucketKey.endsWith(suffix)) buckets.delete(bucketKey);
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+        },
+
+        status() {
+            const now = Date.now();
+
+            return {
+                enabled,
+                rules,
+                ipMultiplier,
+                banThreshold,
+                addressBanThreshold,
+                strikeWindowSeconds: strikeWindow / 1000,
+                banSeconds: banDuration / 1000,
+                trackedBuckets: buckets.size,
+                activeBans: Array.from(bans.values()).filter(until => until > now).length,
+                ...stats
+            };
+        }
+    };
+};
+
+module.exports = { createRateLimiter, DEFAULT_RULES };
@@ -0,0 +1,93 @@
+// clusterState.js - Shared state for cluster workers
+// Workers forward every state call over IPC to the primary, which owns the
+// single authoritative local state.
+const createLocalState = require('./localState');
+
+const STATE_METHODS = Object.keys(createLocalState());
+const REQUEST_TIMEOUT = 5000;
+
+// Worker side: same interface as the local state, answered by the primary
+const createClusterState = () => {
+    const pending = new Map();
+    let nextId = 0;
+
+    process.on('message', (message) => {
+        if (!message || message.__state !== 'response' || !pending.has(message.id)) return;
+
+        const { resolve, reject, timer } = pending.get(message.id);
+        pending.delete(message.id);
+        clearTimeout(timer);
+
+        if (message.error) {
+            reject(new Error(message.error));
+        } else {
+            resolve(message.result);
+        }
+    });
+
+    const call = (method, args) => new Promise((resolve, reject) => {
+        const id = ++nextId;
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            reject(new Error(`State call ${method} timed out`));
+        }, REQUEST_TIMEOUT);
+
+        pending.set(id, { resolve, reject, timer });
+        process.send({ __state: 'request', id, method, args });
+    });
+
+    return Object.fromEntries(STATE_METHODS.map(method => [method, (...args) => call(method, args)]));
+};
+
+// Primary side: answer worker requests and clean up after dead workers
+const setupStatePrimary = (cluster, options = {}) => {
+    const state = createLocalState(options);
+    const workerSockets = new Map(); // worker id -> Set of socket ids
+
+    cluster.on('message', async (worker, message) => {
+        if (!message || message.__state !== 'request') return;
+
+        const reply = (response) => {
+            if (worker.isConnected()) {
+                worker.send({ __state: 'response', id: message.id, ...response });
+            }
+        };
+
+        try {
+            if (!STATE_METHODS.includes(message.method)) {
+                throw new Error(`Unknown state method: ${message.method}`);
+            }
+
+            const [socketId] = message.args;
+            if (message.method === 'connectSocket') {
+                if (!workerSockets.has(worker.id)) {
+                    workerSockets.set(worker.id, new Set());
+                }
+                workerSockets.get(worker.id).add(socketId);
+            } else if (['disconnectSocket', 'expireSession'].includes(message.method) && workerSockets.has(worker.id)) {
+                workerSockets.get(worker.id).delete(socketId);
+            }
+
+            reply({ result: await state[message.method](...message.args) });
+        } catch (error) {
+            reply({ error: error.message });
+        }
+    });
+
+    cluster.on('exit', async (worker) => {
+        const sockets = workerSockets.get(worker.id) || new Set();
+        workerSockets.delete(worker.id);
+
+        for (const socketId of sockets) {
+            await state.disconnectSocket(socketId);
+        }
+
+        if (sockets.size) {
+            console.log(`🧹 Released ${sockets.size} socket(s) owned by worker ${worker.process.pid}`);
+        }
+    });
+
+    return state;
+};
+
+module.exports = { createClusterState, setupStatePrimary };
@@ -0,0 +1,87 @@
+// state/index.js - Shared connection and room state
+//
+// Anything that must agree across server processes (who is online, who is in
+// which room, which usernames are taken, stats) goes through a state adapter.
+// A user record carries a `key` identifying the person; one user may have
+// several sockets (devices/tabs) and counts once in rooms and stats.
+// Every method returns a Promise so a networked backend (e.g. Redis) can
+// implement the same interface:
+//   connectSocket(socketId)            a socket connected
+//   disconnectSocket(socketId)         forget a socket -> { user, rooms (the user left), socketRooms, offline }
+//   createSession(token, socketId)     issue a resume token for a socket's user
+//   suspendSession(socketId)           hold a disconnected user's place -> false if no session
+//   resumeSession(token, socketId)     move a session to a new socket -> { user, previousSocketId } or null
+//   getSessionUser(token)              -> the user record behind a resume token, or null
+//   expireSession(socketId)            release a suspended session -> like disconnectSocket, or null if resumed
+//   registerUser(user)                 add user.socketId to user.key, claiming user.username -> false if taken
+//   evictGuestName(username)           free a name a guest holds for its signed-in owner
+//                                      -> { key, socketIds (connected), released: [like disconnectSocket] } or null
+//   renameUser(socketId, username, key) rename a user on all their sockets -> false if the name is taken
+//   updateUser(socketId, changes)
+//   findUserByUsername(username)       -> user record with connected `devices` count and `presence`, or null
+//   findUserById(userId)               -> same, for a connected Laravel user
+//   getPresence(key)                   -> { status, statusText, idle, lastActiveAt, lastSeenAt }
+//   updatePresence(key, changes)       -> the updated presence
+//   recordActivity(key, now)           -> { presence, wasIdle }
+//   markIdle(key, before)              idle a connected user inactive since `before` -> presence, or null if unchanged
+//   getUserRooms(key)                  -> rooms any of the user's sockets are in
+//   addMention(key, mention, limit)    add to a user's mentions inbox, keeping the newest `limit` -> unread count
+//   getMentions(key, limit)            -> { mentions: newest first, each with `read`, unread }
+//   markMentionsRead(key)
+//   removeMentions(messageId)          drop a deleted message from every inbox
+//   rememberUser({ key, username, userId, grants })
+//                                      keep a profile for offline lookups
+//   findKnownUser({ key } | { username }) -> profile of a user seen since startup or null
+//   joinRoom(room, socketId)           -> { userCount, firstDevice }
+//   leaveRoom(room, socketId)          -> { userCount, lastDevice }
+//   ensureRoom(room)                   track a room without members
+//   getRoomUsers(room)                 -> one record per user, with `devices` count and `presence`
+//   listRooms()                        -> active rooms: [{ ...getRoomInfo(room), userCount }]
+//   getRoomInfo(room)                  -> { name, topic, description, createdBy, createdAt,
+//                                           visibility, managedBy, passwordHash, allowlist: [keys], ... }
+//   createRoom(room, info)             set a new room's creator and settings -> false if already created or occupied
+//   updateRoomInfo(room, changes)      -> the updated info
+//   setRoomMember(room, key, allowed)  add to or remove from the allowlist -> false if unchanged
+//   createInvite(room, code, { createdBy, expiresAt, maxUses })
+//   redeemInvite(room, code, key)      use an invite code, allowlisting the user -> false if invalid
+//   claimRoom(room, key)               make the creator of an empty, unowned room its owner -> true if claimed
+//   setRoomOwner(room, key)
+//   setRoomModerator(room, key, granted) -> false if unchanged
+//   getRoomRoles(room)                 -> { owner, moderators: [keys] }
+//   getRoomRole(room, key)             -> 'owner' | 'moderator' | 'member'
+//   muteUser(room, key, until) / unmuteUser(room, key)
+//   banUser(room, key, { by, reason, bannedAt }) / unbanUser(room, key)
+//   getRestrictions(room, key)         -> { mutedUntil, ban }
+//   removeUserFromRoom(room, key)      take all of a user's sockets out of a room -> { socketIds, userCount }
+//   setReadPosition(readerKey, room, position)
+//                                      advance a reader's { messageId, timestamp } -> stored position
+//   getReadPositions(readerKey)        -> { [room]: position }
+//   reserveUpload(key, id, size, limit) count an unsent upload against its user -> false if over `limit` bytes
+//   releaseUpload(key, id)             an upload was sent or deleted
+//   useNonce(nonce, ttlMs)             record a signed request's nonce -> false if already used
+//   addLaravelClient(socketId)
+//   getStats()                         -> { totalConnections, connectedUsers, activeRooms, laravelSockets, suspendedSessions }
+const cluster = require('cluster');
+const path = require('path');
+const createLocalState = require('./localState');
+const { createClusterState, setupStatePrimary: setupClusterPrimary } = require('./clusterState');
+
+// Room settings, allowlists and roles are saved next to the message history
+// they guard (ROOM_STATE_PATH overrides). With the memory store neither lasts.
+const getRoomStatePath = () => {
+    if (process.env.ROOM_STATE_PATH) return process.env.ROOM_STATE_PATH;
+    if ((process.env.MESSAGE_STORE || 'memory') === 'memory') return null;
+
+    return path.join(path.dirname(process.env.MESSAGE_STORE_PATH || path.join('data', 'messages')), 'rooms.json');
+};
+
+// Cluster workers share the primary's state over IPC, otherwise state is local
+const createStateAdapter = () => {
+    return cluster.isWorker ? createClusterState() : createLocalState({ roomsPath: getRoomStatePath() });
+};
+
+const setupStatePrimary = (clusterModule) => {
+    return setupClusterPrimary(clusterModule, { roomsPath: getRoomStatePath() });
+};
+
+module.exports = { createStateAdapter, setupStatePrimary };
@@ -0,0 +1,784 @@
+// localState.js - In-process shared state (single server, or the cluster primary)
+//
+// A user (identified by user.key) can be connected from several sockets at
+// once; they are online, and a member of a room, while any of them is.
+//
+// Room settings, allowlists, invites, roles, mutes and bans guard history
+// that outlives the process, so with `roomsPath` they are saved to that JSON
+// file on every change and loaded on start. Everything else is per run.
+const fs = require('fs');
+const path = require('path');
+
+// Anyone can take a guest's name once the guest is gone, as every guest is
+// after a restart, so guests are not saved on allowlists or as owners or
+// moderators. Their mutes and bans are: those stay with the name on purpose.
+const isLastingKey = (key) => Boolean(key) && !key.startsWith('guest:');
+
+const createLocalState = (options = {}) => {
+    const roomsPath = options.roomsPath ? path.resolve(options.roomsPath) : null;
+
+    const connections = new Set(); // every connected socket id
+    const users = new Map(); // socketId -> user record
+    const identities = new Map(); // user key -> Set of socket ids
+    const usernames = new Map(); // lowercased username -> user key
+    const rooms = new Map(); // room -> Set of socket ids
+    const laravelClients = new Set();
+    const readPositions = new Map(); // reader key -> Map(room -> { messageId, timestamp, readAt })
+    const knownUsers = new Map(); // user key -> { key, username, userId }, including offline users
+    const knownUsernames = new Map(); // lowercased username -> user key
+    const sessions = new Map(); // resume token -> socketId
+    const suspended = new Set(); // disconnected socket ids whose user is held for a reconnect
+    const roomRoles = new Map(); // room -> { owner: user key or null, moderators: Set of user keys }
+    const roomMutes = new Map(); // room -> Map(user key -> muted until, ms)
+    const roomBans = new Map(); // room -> Map(user key -> { by, reason, bannedAt })
+    const roomInfo = new Map(); // room -> settings, see describeRoom
+    const roomMembers = new Map(); // room -> Set of user keys allowed into a private room
+    const roomInvites = new Map(); // room -> Map(code -> { createdBy, expiresAt, maxUses, uses })
+    const presence = new Map(); // user key -> { status, statusText, idle, lastActiveAt, lastSeenAt }
+    const mentionInboxes = new Map(); // user key -> mentions of the user, oldest first
+    const unsentUploads = new Map(); // user key -> Map(attachment id -> bytes) of uploads not sent yet
+    const usedNonces = new Map(); // nonce of a signed backend request -> forget after, ms
+    let noncesPurgedAt = 0;
+
+    // Write to a temp file first so a crash never leaves half the rooms saved
+    const saveRooms = () => {
+        if (!roomsPath) return;
+
+        const names = new Set([roomInfo, roomMembers, roomInvites, roomRoles, roomMutes, roomBans].flatMap(table => Array.from(table.keys())));
+        const saved = {};
+
+        for (const room of names) {
+            const roles = roomRoles.get(room);
+            saved[room] = {
+                info: roomInfo.get(room) || {},
+                allowlist: Array.from(roomMembers.get(room) || []).filter(isLastingKey),
+                invites: Object.fromEntries(roomInvites.get(room) || []),
+                owner: roles && isLastingKey(roles.owner) ? roles.owner : null,
+                moderators: roles ? Array.from(roles.moderators).filter(isLastingKey) : [],
+                mutes: Object.fromEntries(roomMutes.get(room) || []),
+                bans: Object.fromEntries(roomBans.get(room) || [])
+            };
+        }
+
+        try {
+            const tmpPath = `${roomsPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(saved));
+            fs.renameSync(tmpPath, roomsPath);
+        } catch (error) {
+            console.error(`❌ Failed to save room settings to ${roomsPath}:`, error);
+        }
+    };
+
+    // A file that can't be read stops the server: starting without it would
+    // open every private room
+    const loadRooms = () => {
+        fs.mkdirSync(path.dirname(roomsPath), { recursive: true });
+        if (!fs.existsSync(roomsPath)) return;
+
+        const saved = JSON.parse(fs.readFileSync(roomsPath, 'utf8'));
+        for (const [room, entry] of Object.entries(saved)) {
+            roomInfo.set(room, entry.info);
+            roomMembers.set(room, new Set(entry.allowlist));
+            roomInvites.set(room, new Map(Object.entries(entry.invites)));
+            roomRoles.set(room, { owner: entry.owner, moderators: new Set(entry.moderators) });
+            roomMutes.set(room, new Map(Object.entries(entry.mutes)));
+            roomBans.set(room, new Map(Object.entries(entry.bans)));
+        }
+
+        console.log(`🏠 Loaded settings for ${roomInfo.size} room(s) from ${roomsPath}`);
+    };
+
+    if (roomsPath) {
+        loadRooms();
+    }
+
+    const leaveRoom = (room, socketId) => {
+        if (!rooms.has(room)) return;
+
+        rooms.get(room).delete(socketId);
+        if (rooms.get(room).size === 0) {
+            rooms.delete(room);
+        }
+    };
+
+    // Whether the socket's user is in the room through another of their sockets
+    const hasOtherDeviceIn = (room, socketId) => {
+        const user = users.get(socketId);
+        if (!user || !rooms.has(room)) return false;
+
+        return Array.from(rooms.get(room)).some(id => id !== socketId && users.get(id)?.key === user.key);
+    };
+
+    // One record per user among a set of sockets, with how many they use
+    const distinctUsers = (socketIds) => {
+        const byKey = new Map();
+
+        for (const id of socketIds) {
+            const user = users.get(id);
+            if (!user) continue;
+
+            if (byKey.has(user.key)) {
+                byKey.get(user.key).devices++;
+            } else {
+                byKey.set(user.key, { ...user, devices: 1 });
+            }
+        }
+
+        return Array.from(byKey.values());
+    };
+
+    // A user's presence as they chose it; times are ms since the epoch
+    const presenceOf = (key) => ({
+        status: 'online',
+        statusText: null,
+        idle: false,
+        lastActiveAt: null,
+        lastSeenAt: null,
+        ...presence.get(key)
+    });
+
+    // A user's record with how many sockets are connected right now
+    // (suspended sessions held for a reconnect don't count)
+    const describeUser = (key) => {
+        const socketIds = identities.get(key);
+        if (!socketIds || socketIds.size === 0) return null;
+
+        const [first] = socketIds;
+        const devices = Array.from(socketIds).filter(id => !suspended.has(id)).length;
+        return { ...users.get(first), devices, presence: presenceOf(key) };
+    };
+
+    const rolesOf = (room) => {
+        if (!roomRoles.has(room)) {
+            roomRoles.set(room, { owner: null, moderators: new Set() });
+        }
+        return roomRoles.get(room);
+    };
+
+    // A room's entry in a room -> Map table (mutes, bans, invites), created on first use
+    const perRoomMap = (table, room) => {
+        if (!table.has(room)) {
+            table.set(room, new Map());
+        }
+        return table.get(room);
+    };
+
+    const allowlistOf = (room) => {
+        if (!roomMembers.has(room)) {
+            roomMembers.set(room, new Set());
+        }
+        return roomMembers.get(room);
+    };
+
+    // A room's settings; rooms nobody created yet are public with no topic
+    const describeRoom = (room) => ({
+        name: room,
+        topic: null,
+        topicSetBy: null,
+        topicSetAt: null,
+        description: null,
+        createdBy: null,
+        createdAt: null,
+        visibility: 'public',
+        managedBy: null, // 'laravel' when Laravel keeps the allowlist
+        passwordHash: null,
+        ...roomInfo.get(room),
+        allowlist: Array.from(roomMembers.get(room) || [])
+    });
+
+    // A guest is only known by a name the next guest may take: once they are
+    // gone, drop what was theirs alone. Mutes and bans stay with the name.
+    const forgetGuest = (key) => {
+        readPositions.delete(key);
+        mentionInboxes.delete(key);
+        for (const members of roomMembers.values()) {
+            members.delete(key);
+        }
+        saveRooms();
+    };
+
+    const releaseSocket = (socketId) => {
+        const user = users.get(socketId) || null;
+        const socketRooms = [];
+        const leftRooms = [];
+
+        for (const [room, members] of rooms) {
+            if (members.has(socketId)) {
+                socketRooms.push(room);
+                if (!hasOtherDeviceIn(room, socketId)) {
+                    leftRooms.push(room);
+                }
+            }
+        }
+        socketRooms.forEach(room => leaveRoom(room, socketId));
+
+        let offline = false;
+        if (user && identities.has(user.key)) {
+            identities.get(user.key).delete(socketId);
+
+            if (identities.get(user.key).size === 0) {
+                identities.delete(user.key);
+                offline = true;
+
+                // Invisible users were last seen when they went invisible
+                const { status } = presenceOf(user.key);
+                presence.set(user.key, {
+                    ...presence.get(user.key),
+                    idle: false,
+                    ...(status !== 'invisible' && { lastSeenAt: Date.now() })
+                });
+
+                if (usernames.get(user.username.toLowerCase()) === user.key) {
+                    usernames.delete(user.username.toLowerCase());
+                }
+
+                if (user.key.startsWith('guest:')) {
+                    forgetGuest(user.key);
+                }
+            }
+        }
+
+        for (const [token, owner] of sessions) {
+            if (owner === socketId) {
+                sessions.delete(token);
+            }
+        }
+
+        users.delete(socketId);
+        connections.delete(socketId);
+        laravelClients.delete(socketId);
+        suspended.delete(socketId);
+
+        return { user, rooms: leftRooms, socketRooms, offline };
+    };
+
+    return {
+        async connectSocket(socketId) {
+            connections.add(socketId);
+        },
+
+        // Forget everything about a socket. Returns its user record, the rooms
+        // the user is no longer in, the rooms the socket was in, and whether
+        // that was the user's last socket.
+        async disconnectSocket(socketId) {
+            return releaseSocket(socketId);
+        },
+
+        async createSession(token, socketId) {
+            sessions.set(token, socketId);
+        },
+
+        // Hold a disconnected user's name and rooms until the session is
+        // resumed or expires; false if the socket has no session
+        async suspendSession(socketId) {
+            if (!users.has(socketId) || !Array.from(sessions.values()).includes(socketId)) {
+                return false;
+            }
+
+            suspended.add(socketId);
+            connections.delete(socketId);
+            return true;
+        },
+
+        // The user a resume token belongs to, or null; lets HTTP requests
+        // act for a connected chat user
+        async getSessionUser(token) {
+            const socketId = sessions.get(token);
+            return socketId && users.has(socketId) ? { ...users.get(socketId) } : null;
+        },
+
+        // Move a session (username, rooms) to a new socket.
+        // Returns { user, previousSocketId }, or null for an unknown token.
+        async resumeSession(token, socketId) {
+            const previousSocketId = sessions.get(token);
+            const user = previousSocketId ? users.get(previousSocketId) : null;
+            if (!user) return null;
+
+            users.delete(previousSocketId);
+            user.socketId = socketId;
+            users.set(socketId, user);
+
+            const devices = identities.get(user.key);
+            devices.delete(previousSocketId);
+            devices.add(socketId);
+
+            for (const members of rooms.values()) {
+                if (members.delete(previousSocketId)) {
+                    members.add(socketId);
+                }
+            }
+
+            sessions.set(token, socketId);
+            suspended.delete(previousSocketId);
+
+            return { user: { ...user }, previousSocketId };
+        },
+
+        // Release a suspended session whose grace period ran out.
+        // Returns the same as disconnectSocket, or null if it was resumed.
+        async expireSession(socketId) {
+            return suspended.has(socketId) ? releaseSocket(socketId) : null;
+        },
+
+        // Register a socket for user.key, claiming the username atomically.
+        // False if the name belongs to someone else. Guests can't prove who
+        // they are, so a guest name is limited to one socket.
+        async registerUser(user) {
+            const name = user.username.toLowerCase();
+            const owner = usernames.get(name);
+            const isGuest = user.userId === null || user.userId === undefined;
+
+            if (owner && (owner !== user.key || isGuest) && !identities.get(owner).has(user.socketId)) {
+                return false;
+            }
+
+            if (!identities.has(user.key)) {
+                identities.set(user.key, new Set());
+            }
+            identities.get(user.key).add(user.socketId);
+            usernames.set(name, user.key);
+            users.set(user.socketId, { ...user });
+            return true;
+        },
+
+        // Take a name back from the guest using it, for the signed-in user it
+        // belongs to. The guest's sessions end so they can't be resumed, and
+        // sockets held for a reconnect are released at once.
+        async evictGuestName(username) {
+            const name = username.toLowerCase();
+            const key = usernames.get(name);
+            if (!key || !key.startsWith('guest:')) return null;
+
+            usernames.delete(name);
+            const socketIds = Array.from(identities.get(key) || []);
+            for (const [token, owner] of sessions) {
+                if (socketIds.includes(owner)) {
+                    sessions.delete(token);
+                }
+            }
+
+            const held = socketIds.filter(socketId => suspended.has(socketId));
+            return {
+                key,
+                socketIds: socketIds.filter(socketId => !held.includes(socketId)),
+                released: held.map(releaseSocket)
+            };
+        },
+
+        // Rename a socket's user on all of their sockets, moving them to a new
+        // key if it changes. False if the name belongs to someone else.
+        async renameUser(socketId, username, key) {
+            const user = users.get(socketId);
+            const owner = usernames.get(username.toLowerCase());
+            if (!user || (owner && owner !== user.key)) return false;
+
+            const previousKey = user.key;
+            const socketIds = identities.get(previousKey);
+
+            if (usernames.get(user.username.toLowerCase()) === previousKey) {
+                usernames.delete(user.username.toLowerCase());
+            }
+            usernames.set(username.toLowerCase(), key);
+
+            if (key !== previousKey) {
+                identities.delete(previousKey);
+                identities.set(key, socketIds);
+
+                for (const table of [readPositions, presence, mentionInboxes]) {
+                    if (table.has(previousKey)) {
+                        table.set(key, table.get(previousKey));
+                        table.delete(previousKey);
+                    }
+                }
+
+                // A new name doesn't lift mutes or bans; the old name keeps them too
+                for (const restrictions of [...roomMutes.values(), ...roomBans.values()]) {
+                    if (restrictions.has(previousKey)) {
+                        restrictions.set(key, restrictions.get(previousKey));
+                    }
+                }
+
+                // Access to private rooms moves with the user, so whoever
+                // takes the old name next doesn't inherit it
+                for (const members of roomMembers.values()) {
+                    if (members.delete(previousKey)) {
+                        members.add(key);
+                    }
+                }
+                saveRooms();
+            }
+
+            for (const id of socketIds) {
+                Object.assign(users.get(id), { username, key });
+            }
+            return true;
+        },
+
+        async updateUser(socketId, changes) {
+            if (users.has(socketId)) {
+                Object.assign(users.get(socketId), changes);
+            }
+        },
+
+        async findUserByUsername(username) {
+            const key = usernames.get(String(username).toLowerCase());
+            return key ? describeUser(key) : null;
+        },
+
+        // Laravel users are keyed by their id
+        async findUserById(userId) {
+            return describeUser(`user:${userId}`);
+        },
+
+        async getPresence(key) {
+            return presenceOf(key);
+        },
+
+        async updatePresence(key, changes) {
+            presence.set(key, { ...presence.get(key), ...changes });
+            return presenceOf(key);
+        },
+
+        // Note activity from a user. Returns their presence and whether they
+        // were idle until now.
+        async recordActivity(key, now) {
+            const wasIdle = presenceOf(key).idle;
+            presence.set(key, { ...presence.get(key), idle: false, lastActiveAt: now });
+            return { presence: presenceOf(key), wasIdle };
+        },
+
+        // Mark a connected user idle if they haven't been active since
+        // `before`. Returns their presence, or null if nothing changed.
+        async markIdle(key, before) {
+            const current = presenceOf(key);
+            if (!identities.has(key) || current.idle || !current.lastActiveAt || current.lastActiveAt >= before) {
+                return null;
+            }
+
+            presence.set(key, { ...presence.get(key), idle: true });
+            return presenceOf(key);
+        },
+
+        // The chat rooms any of a user's sockets are in
+        async getUserRooms(key) {
+            const socketIds = identities.get(key) || new Set();
+            return Array.from(rooms.keys()).filter(room => Array.from(rooms.get(room)).some(id => socketIds.has(id)));
+        },
+
+        // Add a mention to a user's inbox, keeping the newest `limit`.
+        // Returns how many of them are unread.
+        async addMention(key, mention, limit) {
+            const inbox = mentionInboxes.get(key) || [];
+            inbox.push({ ...mention, read: false });
+            mentionInboxes.set(key, inbox.slice(-limit));
+
+            return mentionInboxes.get(key).filter(entry => !entry.read).length;
+        },
+
+        // A user's newest mentions first, and how many are unread
+        async getMentions(key, limit) {
+            const inbox = mentionInboxes.get(key) || [];
+            return {
+                mentions: inbox.slice(-limit).reverse().map(entry => ({ ...entry })),
+                unread: inbox.filter(entry => !entry.read).length
+            };
+        },
+
+        async markMentionsRead(key) {
+            for (const entry of mentionInboxes.get(key) || []) {
+                entry.read = true;
+            }
+        },
+
+        // Drop a deleted message from every inbox
+        async removeMentions(messageId) {
+            for (const [key, inbox] of mentionInboxes) {
+                mentionInboxes.set(key, inbox.filter(entry => entry.messageId !== messageId));
+            }
+        },
+
+        // Remember who a user is after they go offline, so they can still be messaged
+        async rememberUser(profile) {
+            knownUsers.set(profile.key, { ...profile });
+            knownUsernames.set(profile.username.toLowerCase(), profile.key);
+        },
+
+        // Look up a user seen since startup by { key } or { username }
+        async findKnownUser({ key, username }) {
+            const userKey = key || knownUsernames.get(String(username).toLowerCase());
+            return (userKey && knownUsers.get(userKey)) || null;
+        },
+
+        // Returns the room's user count and whether this is the user's first
+        // socket in it
+        async joinRoom(room, socketId) {
+            const firstDevice = !hasOtherDeviceIn(room, socketId);
+
+            if (!rooms.has(room)) {
+                rooms.set(room, new Set());
+            }
+            rooms.get(room).add(socketId);
+
+            return { userCount: distinctUsers(rooms.get(room)).length, firstDevice };
+        },
+
+        // Returns the room's user count and whether this was the user's last
+        // socket in it
+        async leaveRoom(room, socketId) {
+            const lastDevice = !hasOtherDeviceIn(room, socketId);
+            leaveRoom(room, socketId);
+
+            return { userCount: rooms.has(room) ? distinctUsers(rooms.get(room)).length : 0, lastDevice };
+        },
+
+        // Track a room that has no members yet (e.g. created by Laravel)
+        async ensureRoom(room) {
+            if (!rooms.has(room)) {
+                rooms.set(room, new Set());
+                return true;
+            }
+            return false;
+        },
+
+        async getRoomUsers(room) {
+            return distinctUsers(rooms.get(room) || []).map(user => ({ ...user, presence: presenceOf(user.key) }));
+        },
+
+        // Active rooms with their settings
+        async listRooms() {
+            return Array.from(rooms.keys()).map(room => ({
+                ...describeRoom(room),
+                userCount: distinctUsers(rooms.get(room)).length
+            }));
+        },
+
+        // Move a reader's position in a room forward; never backwards.
+        // Returns the position now stored.
+        async setReadPosition(readerKey, room, position) {
+            if (!readPositions.has(readerKey)) {
+                readPositions.set(readerKey, new Map());
+            }
+
+            const positions = readPositions.get(readerKey);
+            const current = positions.get(room);
+            if (!current || current.timestamp <= position.timestamp) {
+                positions.set(room, position);
+            }
+
+            return positions.get(room);
+        },
+
+        async getReadPositions(readerKey) {
+            return Object.fromEntries(readPositions.get(readerKey) || []);
+        },
+
+        async getRoomInfo(room) {
+            return describeRoom(room);
+        },
+
+        // Give a room its creator and initial settings; false if it already
+        // has them or people are already in it
+        async createRoom(room, info) {
+            if (roomInfo.get(room)?.createdAt || rooms.get(room)?.size) return false;
+
+            roomInfo.set(room, { ...roomInfo.get(room), ...info });
+            saveRooms();
+            return true;
+        },
+
+        async updateRoomInfo(room, changes) {
+            roomInfo.set(room, { ...roomInfo.get(room), ...changes });
+            saveRooms();
+            return describeRoom(room);
+        },
+
+        // Add or remove a user on a room's allowlist; false if nothing changed
+        async setRoomMember(room, key, allowed) {
+            const members = allowlistOf(room);
+            if (members.has(key) === allowed) return false;
+
+            if (allowed) {
+                members.add(key);
+            } else {
+                members.delete(key);
+            }
+            saveRooms();
+            return true;
+        },
+
+        async createInvite(room, code, invite) {
+            perRoomMap(roomInvites, room).set(code, { ...invite, uses: 0 });
+            saveRooms();
+        },
+
+        // Spend one use of an invite code, adding the user to the allowlist.
+        // False if the code is unknown, expired or used up.
+        async redeemInvite(room, code, key) {
+            const invite = roomInvites.get(room)?.get(code);
+            if (!invite) return false;
+
+            if ((invite.expiresAt && invite.expiresAt <= Date.now()) || (invite.maxUses && invite.uses >= invite.maxUses)) {
+                roomInvites.get(room).delete(code);
+                saveRooms();
+                return false;
+            }
+
+            invite.uses++;
+            allowlistOf(room).add(key);
+            saveRooms();
+            return true;
+        },
+
+        // Make a user the owner of a room they are creating: false if the
+        // room already has an owner or members
+        async claimRoom(room, key) {
+            if (roomRoles.get(room)?.owner || rooms.get(room)?.size) {
+                return false;
+            }
+
+            rolesOf(room).owner = key;
+            saveRooms();
+            return true;
+        },
+
+        async setRoomOwner(room, key) {
+            rolesOf(room).owner = key;
+            rolesOf(room).moderators.delete(key);
+            saveRooms();
+        },
+
+        // Grant or revoke moderator; false if nothing changed
+        async setRoomModerator(room, key, granted) {
+            const { moderators } = rolesOf(room);
+            if (moderators.has(key) === granted) return false;
+
+            if (granted) {
+                moderators.add(key);
+            } else {
+                moderators.delete(key);
+            }
+            saveRooms();
+            return true;
+        },
+
+        async getRoomRoles(room) {
+            const roles = roomRoles.get(room);
+            return { owner: roles?.owner || null, moderators: roles ? Array.from(roles.moderators) : [] };
+        },
+
+        // 'owner', 'moderator' or 'member'
+        async getRoomRole(room, key) {
+            const roles = roomRoles.get(room);
+            if (roles?.owner === key) return 'owner';
+            if (roles?.moderators.has(key)) return 'moderator';
+            return 'member';
+        },
+
+        async muteUser(room, key, until) {
+            perRoomMap(roomMutes, room).set(key, until);
+            saveRooms();
+        },
+
+        async unmuteUser(room, key) {
+            const unmuted = roomMutes.get(room)?.delete(key) || false;
+            saveRooms();
+            return unmuted;
+        },
+
+        async banUser(room, key, ban) {
+            perRoomMap(roomBans, room).set(key, { ...ban });
+            saveRooms();
+        },
+
+        async unbanUser(room, key) {
+            const unbanned = roomBans.get(room)?.delete(key) || false;
+            saveRooms();
+            return unbanned;
+        },
+
+        // What a user may not do in a room -> { mutedUntil (ms) or null, ban or null }
+        async getRestrictions(room, key) {
+            const mutedUntil = roomMutes.get(room)?.get(key) || null;
+            if (mutedUntil && mutedUntil <= Date.now()) {
+                roomMutes.get(room).delete(key);
+            }
+
+            return {
+                mutedUntil: mutedUntil && mutedUntil > Date.now() ? mutedUntil : null,
+                ban: roomBans.get(room)?.get(key) || null
+            };
+        },
+
+        // Take every socket of a user (suspended ones too) out of a room.
+        // Returns the socket ids removed and the room's user count.
+        async removeUserFromRoom(room, key) {
+            const socketIds = Array.from(identities.get(key) || []).filter(id => rooms.get(room)?.has(id));
+
+            for (const socketId of socketIds) {
+                leaveRoom(room, socketId);
+
+                const user = users.get(socketId);
+                user.rooms = user.rooms.filter(joined => joined !== room);
+                if (user.room === room) {
+                    user.room = user.rooms[0] || null;
+                }
+            }
+
+            return { socketIds, userCount: rooms.has(room) ? distinctUsers(rooms.get(room)).length : 0 };
+        },
+
+        // Count an upload against its user's allowance for unsent files;
+        // false if it would take them over `limit` bytes
+        async reserveUpload(key, id, size, limit) {
+            const uploads = unsentUploads.get(key) || new Map();
+            const used = Array.from(uploads.values()).reduce((total, bytes) => total + bytes, 0);
+            if (used + size > limit) return false;
+
+            uploads.set(id, size);
+            unsentUploads.set(key, uploads);
+            return true;
+        },
+
+        // An upload was sent or deleted
+        async releaseUpload(key, id) {
+            const uploads = unsentUploads.get(key);
+            if (!uploads) return;
+
+            uploads.delete(id);
+            if (uploads.size === 0) {
+                unsentUploads.delete(key);
+            }
+        },
+
+        // Record a signed request's nonce; false if it was used before
+        async useNonce(nonce, ttlMs) {
+            const now = Date.now();
+            if (now - noncesPurgedAt > 60 * 1000) {
+                for (const [used, expiresAt] of usedNonces) {
+                    if (expiresAt <= now) usedNonces.delete(used);
+                }
+                noncesPurgedAt = now;
+            }
+
+            if (usedNonces.get(nonce) > now) return false;
+            usedNonces.set(nonce, now + ttlMs);
+            return true;
+        },
+
+        async addLaravelClient(socketId) {
+            laravelClients.add(socketId);
+        },
+
+        async getStats() {
+            return {
+                totalConnections: connections.size,
+                connectedUsers: identities.size,
+                activeRooms: rooms.size,
+                laravelSockets: laravelClients.size,
+                suspendedSessions: suspended.size
+            };
+        }
+    };
+};
+
+module.exports = createLocalState;
@@ -0,0 +1,112 @@
+// fileStore.js - Append-only JSONL message store
+// Every write is appended to the log as one JSON record per line and the
+// log is replayed into an in-memory index on startup. The index keeps the
+// newest `maxPerRoom` messages of each room, and the log is rewritten down
+// to them on startup and whenever it grows to twice their number.
+const fs = require('fs');
+const path = require('path');
+const createMemoryStore = require('./memoryStore');
+
+// Small logs are not worth rewriting
+const COMPACT_MIN_RECORDS = 1000;
+
+const createFileStore = (options = {}) => {
+    const filePath = path.resolve(options.path || path.join('data', 'messages.jsonl'));
+    const index = createMemoryStore({ maxPerRoom: options.maxPerRoom });
+    let records = 0;
+    let compactAt = COMPACT_MIN_RECORDS;
+
+    const applyRecord = (record) => {
+        switch (record.op) {
+            case 'append':
+                index.append(record.room, record.message);
+                break;
+
+            case 'update':
+                index.update(record.room, record.id, record.changes);
+                break;
+
+            default:
+                console.log(`⚠️ Unknown record in message log: ${record.op}`);
+        }
+    };
+
+    // Rewrite the log as one append per kept message, updates merged in.
+    // Write to a temp file first so a crash never leaves a half-written log
+    const compact = () => {
+        const tmpPath = `${filePath}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        let kept = 0;
+
+        try {
+            for (const room of index.listRooms()) {
+                const messages = index.getRecent(room, index.count(room));
+                fs.writeSync(fd, messages.map(message => JSON.stringify({ op: 'append', room, message }) + '\n').join(''));
+                kept += messages.length;
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.renameSync(tmpPath, filePath);
+        records = kept;
+        compactAt = Math.max(COMPACT_MIN_RECORDS, kept * 2);
+    };
+
+    const writeRecord = (record) => {
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+        applyRecord(record);
+
+        if (++records >= compactAt) {
+            compact();
+        }
+    };
+
+    // Replay the existing log
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+        lines.forEach((line, lineIndex) => {
+            if (!line.trim()) return;
+
+            records++;
+            try {
+                applyRecord(JSON.parse(line));
+            } catch (error) {
+                console.error(`❌ Skipping corrupt line ${lineIndex + 1} in ${filePath}:`, error.message);
+            }
+        });
+
+        compact();
+    }
+
+    console.log(`💾 Loaded message log from ${filePath}`);
+
+    return {
+        driver: 'file',
+
+        append(room, message) {
+            writeRecord({ op: 'append', room, message });
+        },
+
+        update(room, id, changes) {
+            if (!index.get(room, id)) return null;
+
+            writeRecord({ op: 'update', room, id, changes });
+            return index.get(room, id);
+        },
+
+        getRecent: index.getRecent,
+        getThread: index.getThread,
+        get: index.get,
+        count: index.count,
+        countAfter: index.countAfter,
+        listRooms: index.listRooms,
+        listUndelivered: index.listUndelivered,
+
+        close() {}
+    };
+};
+
+module.exports = createFileStore;
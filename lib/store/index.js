@@ -0,0 +1,44 @@
+// store/index.js - Message store factory
+//
+// Every store implements the same interface:
+//   append(room, message)     persist a message at the end of a room's history
+//   getRecent(room, limit, before)
+//                             last `limit` messages of a room, oldest first;
+//                             with `before` (a message id) only older messages
+//   get(room, id)             a single message, or null
+//   update(room, id, changes) merge changes into a stored message; returns
+//                             the updated message, or null if not found
+//   getThread(room, threadId, limit)
+//                             last `limit` replies in a thread, oldest first
+//   count(room)               number of stored messages in a room
+//   countAfter(room, id)      chat messages (not system messages or
+//                             tombstones) newer than `id`; all of them when
+//                             `id` is empty or no longer stored
+//   listRooms()               names of rooms that have stored history
+//   listUndelivered(toKey)    [{ room, message }] for stored direct messages
+//                             to `toKey` without a `deliveredAt`, oldest first
+//   close()                   release files/handles on shutdown
+const createMemoryStore = require('./memoryStore');
+const createFileStore = require('./fileStore');
+const createSqliteStore = require('./sqliteStore');
+
+const createMessageStore = (options = {}) => {
+    const driver = (options.driver || 'memory').toLowerCase();
+
+    switch (driver) {
+        case 'memory':
+            return createMemoryStore(options);
+
+        case 'file':
+        case 'jsonl':
+            return createFileStore(options);
+
+        case 'sqlite':
+            return createSqliteStore(options);
+
+        default:
+            throw new Error(`Unknown message store driver: ${driver}`);
+    }
+};
+
+module.exports = { createMessageStore };
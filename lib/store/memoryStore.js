@@ -0,0 +1,109 @@
+// memoryStore.js - In-memory message store (lost on restart)
+
+const createMemoryStore = (options = {}) => {
+    const maxPerRoom = options.maxPerRoom || 1000;
+    const history = new Map(); // room -> array of messages, oldest first
+    const undelivered = new Map(); // toKey -> Map of message id -> room, oldest first
+
+    // Direct messages wait here until marked deliveredAt (or dropped)
+    const track = (room, message) => {
+        if (!message.toKey || message.deliveredAt) return;
+
+        if (!undelivered.has(message.toKey)) {
+            undelivered.set(message.toKey, new Map());
+        }
+        undelivered.get(message.toKey).set(message.id, room);
+    };
+
+    const untrack = (message) => {
+        const pending = message.toKey && undelivered.get(message.toKey);
+        if (!pending) return;
+
+        pending.delete(message.id);
+        if (pending.size === 0) {
+            undelivered.delete(message.toKey);
+        }
+    };
+
+    const findMessage = (room, id) => {
+        const messages = history.get(room) || [];
+        return messages.find(message => message.id === id) || null;
+    };
+
+    return {
+        driver: 'memory',
+
+        append(room, message) {
+            if (!history.has(room)) {
+                history.set(room, []);
+            }
+
+            const messages = history.get(room);
+            messages.push(message);
+            track(room, message);
+
+            // Keep memory bounded
+            if (messages.length > maxPerRoom) {
+                untrack(messages.shift());
+            }
+        },
+
+        getRecent(room, limit, before = null) {
+            let messages = history.get(room) || [];
+
+            if (before) {
+                const cursor = messages.findIndex(message => message.id === before);
+                if (cursor === -1) return [];
+                messages = messages.slice(0, cursor);
+            }
+
+            return messages.slice(-limit);
+        },
+
+        getThread(room, threadId, limit) {
+            const messages = history.get(room) || [];
+            return messages.filter(message => message.threadId === threadId).slice(-limit);
+        },
+
+        get: findMessage,
+
+        update(room, id, changes) {
+            const messages = history.get(room) || [];
+            const position = messages.findIndex(message => message.id === id);
+            if (position === -1) return null;
+
+            messages[position] = { ...messages[position], ...changes };
+            if (messages[position].deliveredAt) {
+                untrack(messages[position]);
+            }
+            return messages[position];
+        },
+
+        listUndelivered(toKey) {
+            const pending = undelivered.get(toKey) || new Map();
+            return Array.from(pending, ([id, room]) => ({ room, message: findMessage(room, id) }));
+        },
+
+        count(room) {
+            return history.has(room) ? history.get(room).length : 0;
+        },
+
+        countAfter(room, id) {
+            const messages = history.get(room) || [];
+            const cursor = id ? messages.findIndex(message => message.id === id) : -1;
+
+            return messages
+                .slice(cursor + 1)
+                .filter(message => message.type === 'message' && !message.deleted)
+                .length;
+        },
+
+        listRooms() {
+            return Array.from(history.keys());
+        },
+
+        close() {}
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,149 @@
+// sqliteStore.js - SQLite message store (requires the optional better-sqlite3 package)
+const fs = require('fs');
+const path = require('path');
+
+const createSqliteStore = (options = {}) => {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite message store requires the "better-sqlite3" package. Run: npm install better-sqlite3');
+    }
+
+    const filePath = path.resolve(options.path || path.join('data', 'messages.sqlite'));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    // Cluster workers open the same database at once; wait for each other's locks
+    db.pragma('busy_timeout = 5000');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            id TEXT NOT NULL,
+            room TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_messages_room_seq ON messages (room, seq);
+        CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages (room, id);
+    `);
+
+    // Databases created before threads (or delivery tracking) were added lack
+    // those columns. Checked and altered under one write lock so two workers
+    // can't both add them
+    db.transaction(() => {
+        const columns = db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+        if (!columns.includes('thread_id')) {
+            db.exec('ALTER TABLE messages ADD COLUMN thread_id TEXT');
+        }
+        if (!columns.includes('pending_for')) {
+            db.exec('ALTER TABLE messages ADD COLUMN pending_for TEXT');
+            db.exec(`
+                UPDATE messages SET pending_for = json_extract(data, '$.toKey')
+                WHERE json_extract(data, '$.toKey') IS NOT NULL AND json_extract(data, '$.deliveredAt') IS NULL
+            `);
+        }
+    }).immediate();
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_messages_room_thread ON messages (room, thread_id, seq);
+        CREATE INDEX IF NOT EXISTS idx_messages_pending ON messages (pending_for, seq) WHERE pending_for IS NOT NULL;
+    `);
+
+    // Direct messages not yet delivered are indexed by who they are for
+    const pendingFor = (message) => (message.toKey && !message.deliveredAt ? String(message.toKey) : null);
+
+    const statements = {
+        insert: db.prepare('INSERT INTO messages (id, room, thread_id, pending_for, data, created_at) VALUES (?, ?, ?, ?, ?, ?)'),
+        recent: db.prepare('SELECT data FROM messages WHERE room = ? ORDER BY seq DESC LIMIT ?'),
+        before: db.prepare(`
+            SELECT data FROM messages
+            WHERE room = ? AND seq < (SELECT seq FROM messages WHERE room = ? AND id = ?)
+            ORDER BY seq DESC LIMIT ?
+        `),
+        thread: db.prepare('SELECT data FROM messages WHERE room = ? AND thread_id = ? ORDER BY seq DESC LIMIT ?'),
+        get: db.prepare('SELECT data FROM messages WHERE room = ? AND id = ?'),
+        update: db.prepare('UPDATE messages SET data = ?, pending_for = ? WHERE room = ? AND id = ?'),
+        count: db.prepare('SELECT COUNT(*) AS total FROM messages WHERE room = ?'),
+        countAfter: db.prepare(`
+            SELECT COUNT(*) AS total FROM messages
+            WHERE room = ?
+              AND seq > COALESCE((SELECT seq FROM messages WHERE room = ? AND id = ?), 0)
+              AND json_extract(data, '$.type') = 'message'
+              AND json_extract(data, '$.deleted') IS NOT 1
+        `),
+        rooms: db.prepare('SELECT DISTINCT room FROM messages'),
+        undelivered: db.prepare('SELECT room, data FROM messages WHERE pending_for = ? ORDER BY seq')
+    };
+
+    const getMessage = (room, id) => {
+        const row = statements.get.get(room, String(id));
+        return row ? JSON.parse(row.data) : null;
+    };
+
+    console.log(`💾 Opened SQLite message store at ${filePath}`);
+
+    return {
+        driver: 'sqlite',
+
+        append(room, message) {
+            statements.insert.run(
+                String(message.id),
+                room,
+                message.threadId ? String(message.threadId) : null,
+                pendingFor(message),
+                JSON.stringify(message),
+                message.timestamp || new Date().toISOString()
+            );
+        },
+
+        getRecent(room, limit, before = null) {
+            const rows = before
+                ? statements.before.all(room, room, String(before), limit)
+                : statements.recent.all(room, limit);
+
+            return rows.map(row => JSON.parse(row.data)).reverse();
+        },
+
+        getThread(room, threadId, limit) {
+            return statements.thread.all(room, String(threadId), limit)
+                .map(row => JSON.parse(row.data))
+                .reverse();
+        },
+
+        get: getMessage,
+
+        update(room, id, changes) {
+            const current = getMessage(room, id);
+            if (!current) return null;
+
+            const updated = { ...current, ...changes };
+            statements.update.run(JSON.stringify(updated), pendingFor(updated), room, String(id));
+            return updated;
+        },
+
+        count(room) {
+            return statements.count.get(room).total;
+        },
+
+        countAfter(room, id) {
+            return statements.countAfter.get(room, room, id ? String(id) : null).total;
+        },
+
+        listRooms() {
+            return statements.rooms.all().map(row => row.room);
+        },
+
+        listUndelivered(toKey) {
+            return statements.undelivered.all(String(toKey))
+                .map(row => ({ room: row.room, message: JSON.parse(row.data) }));
+        },
+
+        close() {
+            db.close();
+        }
+    };
+};
+
+module.exports = createSqliteStore;
@@ -0,0 +1,307 @@
+// webhookQueue.js - Durable outbound webhook queue
+// Jobs are kept in an append-only log on disk, POSTed as signed JSON and
+// retried with exponential backoff. Jobs that keep failing are moved to a
+// dead-letter log.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { signRequest } = require('./auth');
+
+const postJson = (url, body, headers, timeout) => {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout
+        }, (res) => {
+            let responseBody = '';
+            res.on('data', chunk => { responseBody += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: responseBody }));
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeout}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+};
+
+// 4xx responses will not succeed on retry, except timeouts and throttling
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+// The queue log is rewritten once it holds this many records and most of
+// them are about jobs that are gone
+const COMPACT_MIN_RECORDS = 1000;
+
+const createWebhookQueue = (options = {}) => {
+    const url = options.url;
+    const secret = options.secret || '';
+    const queuePath = path.resolve(options.path || path.join('data', 'webhook-queue.json'));
+    const deadLetterPath = path.resolve(options.deadLetterPath || path.join('data', 'webhook-dead-letter.jsonl'));
+    const maxAttempts = options.maxAttempts || 8;
+    const baseDelay = options.baseDelay || 1000;
+    const maxDelay = options.maxDelay || 5 * 60 * 1000;
+    const timeout = options.timeout || 10000;
+
+    // Pending jobs by id, oldest first
+    const jobs = new Map();
+    let logRecords = 0;
+    let timer = null;
+    let timerAt = Infinity;
+    let processing = false;
+    let stopped = false;
+
+    const stats = {
+        delivered: 0,
+        failedAttempts: 0,
+        deadLettered: 0,
+        lastDeliveredAt: null,
+        lastError: null
+    };
+    const recentDeadLetters = [];
+
+    // The log holds one change per line: { op: 'add', job },
+    // { op: 'retry', id, attempts, nextAttemptAt, lastError } or { op: 'remove', id }
+    const append = (record) => {
+        fs.appendFileSync(queuePath, JSON.stringify(record) + '\n');
+        logRecords++;
+    };
+
+    const applyRecord = (record) => {
+        if (record.op === 'add') {
+            jobs.set(record.job.id, record.job);
+        } else if (record.op === 'retry' && jobs.has(record.id)) {
+            const { attempts, nextAttemptAt, lastError } = record;
+            Object.assign(jobs.get(record.id), { attempts, nextAttemptAt, lastError });
+        } else if (record.op === 'remove') {
+            jobs.delete(record.id);
+        }
+    };
+
+    // Rewrite the log with only the pending jobs. Write to a temp file first
+    // so a crash never leaves a half-written queue
+    const compact = () => {
+        const tmpPath = `${queuePath}.tmp`;
+        const lines = [];
+        for (const job of jobs.values()) {
+            lines.push(JSON.stringify({ op: 'add', job }) + '\n');
+        }
+        fs.writeFileSync(tmpPath, lines.join(''));
+        fs.renameSync(tmpPath, queuePath);
+        logRecords = jobs.size;
+    };
+
+    const load = () => {
+        fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+        if (!fs.existsSync(queuePath)) return;
+
+        try {
+            const content = fs.readFileSync(queuePath, 'utf8');
+
+            // Older versions wrote the whole queue as one JSON array
+            if (content.trimStart().startsWith('[')) {
+                JSON.parse(content).forEach(job => jobs.set(job.id, job));
+            } else {
+                let skipped = 0;
+                for (const line of content.split('\n')) {
+                    if (!line.trim()) continue;
+                    try {
+                        applyRecord(JSON.parse(line));
+                    } catch (error) {
+                        // A crash mid-append can leave a torn last line
+                        skipped++;
+                    }
+                }
+                if (skipped) {
+                    console.error(`❌ Skipped ${skipped} unreadable record(s) in webhook queue ${queuePath}`);
+                }
+            }
+
+            compact();
+            console.log(`📬 Restored ${jobs.size} pending webhook(s) from ${queuePath}`);
+        } catch (error) {
+            console.error(`❌ Could not read webhook queue ${queuePath}, starting empty:`, error.message);
+            jobs.clear();
+        }
+    };
+
+    // Found by looping: spreading a large queue into Math.min overflows the stack
+    const earliestAttempt = () => {
+        let earliest = Infinity;
+        for (const job of jobs.values()) {
+            if (job.nextAttemptAt < earliest) earliest = job.nextAttemptAt;
+        }
+        return earliest;
+    };
+
+    const backoff = (attempts) => {
+        const delay = Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay);
+        // Up to 20% jitter so retries from a burst don't arrive together
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    };
+
+    const deadLetter = (job, reason) => {
+        const entry = { ...job, reason, deadLetteredAt: new Date().toISOString() };
+
+        fs.appendFileSync(deadLetterPath, JSON.stringify(entry) + '\n');
+        stats.deadLettered++;
+
+        // Payloads carry message content (private ones too); status() only
+        // shows what failed, the dead-letter log keeps the rest
+        recentDeadLetters.push({
+            id: job.id,
+            event: job.event,
+            attempts: job.attempts,
+            reason,
+            deadLetteredAt: entry.deadLetteredAt
+        });
+        if (recentDeadLetters.length > 10) {
+            recentDeadLetters.shift();
+        }
+
+        console.error(`☠️ Webhook ${job.id} (${job.event}) dead-lettered: ${reason}`);
+    };
+
+    // Wake up at `at` unless already due to wake up sooner; a pass in
+    // progress schedules the next one itself when it ends
+    const schedule = (at) => {
+        if (stopped || processing || at === Infinity || at >= timerAt) return;
+
+        clearTimeout(timer);
+        timerAt = at;
+        timer = setTimeout(processDue, Math.max(at - Date.now(), 0));
+        timer.unref();
+    };
+
+    const deliver = async (job) => {
+        const body = JSON.stringify({ event: job.event, data: job.payload, sent_at: new Date().toISOString() });
+        const target = new URL(url);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const nonce = crypto.randomBytes(16).toString('hex');
+
+        // Signed the same way as requests Laravel sends to this server
+        return postJson(url, body, {
+            'X-Webhook-Id': job.id,
+            'X-Webhook-Event': job.event,
+            'X-Timestamp': timestamp,
+            'X-Nonce': nonce,
+            'X-Signature': signRequest({ method: 'POST', path: target.pathname + target.search, timestamp, nonce, body }, secret)
+        }, timeout);
+    };
+
+    const processDue = async () => {
+        if (stopped || processing) return;
+        processing = true;
+        clearTimeout(timer);
+        timerAt = Infinity;
+
+        try {
+            const now = Date.now();
+            const due = [];
+            for (const job of jobs.values()) {
+                if (job.nextAttemptAt <= now) due.push(job);
+            }
+
+            for (const job of due) {
+                if (stopped) break;
+
+                let failure = null;
+                let retryable = true;
+
+                try {
+                    const response = await deliver(job);
+                    if (response.status >= 200 && response.status < 300) {
+                        jobs.delete(job.id);
+                        append({ op: 'remove', id: job.id });
+                        stats.delivered++;
+                        stats.lastDeliveredAt = new Date().toISOString();
+                        continue;
+                    }
+
+                    failure = `HTTP ${response.status}`;
+                    retryable = isRetryableStatus(response.status);
+                } catch (error) {
+                    failure = error.message;
+                }
+
+                job.attempts++;
+                job.lastError = failure;
+                stats.failedAttempts++;
+                stats.lastError = { id: job.id, error: failure, at: new Date().toISOString() };
+
+                if (!retryable || job.attempts >= maxAttempts) {
+                    jobs.delete(job.id);
+                    deadLetter(job, retryable ? `Gave up after ${job.attempts} attempts: ${failure}` : failure);
+                    append({ op: 'remove', id: job.id });
+                } else {
+                    const delay = backoff(job.attempts);
+                    job.nextAttemptAt = Date.now() + delay;
+                    append({ op: 'retry', id: job.id, attempts: job.attempts, nextAttemptAt: job.nextAttemptAt, lastError: failure });
+                    console.log(`🔁 Webhook ${job.id} attempt ${job.attempts}/${maxAttempts} failed (${failure}), retrying in ${delay}ms`);
+                }
+            }
+
+            if (logRecords >= COMPACT_MIN_RECORDS && logRecords > jobs.size * 2) {
+                compact();
+            }
+        } catch (error) {
+            console.error('❌ Error processing webhook queue:', error);
+        } finally {
+            processing = false;
+        }
+
+        schedule(earliestAttempt());
+    };
+
+    load();
+    schedule(earliestAttempt());
+
+    return {
+        enqueue(event, payload) {
+            const job = {
+                id: crypto.randomUUID(),
+                event,
+                payload,
+                attempts: 0,
+                createdAt: new Date().toISOString(),
+                nextAttemptAt: Date.now(),
+                lastError: null
+            };
+
+            jobs.set(job.id, job);
+            append({ op: 'add', job });
+            schedule(job.nextAttemptAt);
+            return job.id;
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        },
+
+        status() {
+            const oldest = jobs.size ? jobs.values().next().value.createdAt : null;
+            const nextAt = earliestAttempt();
+
+            return {
+                url,
+                pending: jobs.size,
+                oldestPendingAt: oldest,
+                nextAttemptAt: nextAt === Infinity ? null : new Date(nextAt).toISOString(),
+                maxAttempts,
+                ...stats,
+                recentDeadLetters
+            };
+        }
+    };
+};
+
+module.exports = { createWebhookQueue };
@@ -1,21 +1,45 @@
+require('dotenv').config();
+
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const cluster = require('cluster');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
+const { createMessageStore } = require('./lib/store');
+const { verifyToken, verifyBackendCredentials, verifyRequestSignature, hashPassword, verifyPassword, MAX_SIGNATURE_SKEW } = require('./lib/auth');
+const { createWebhookQueue } = require('./lib/webhookQueue');
+const { createEventPolicy } = require('./lib/eventPolicy');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createMessagePipeline } = require('./lib/pipeline');
+const { createAttachmentStore } = require('./lib/attachments');
+const { detectImageType, createThumbnail } = require('./lib/attachments/images');
+const { createCommandRegistry } = require('./lib/commands');
+const { parseMentions } = require('./lib/mentions');
+const { createStateAdapter } = require('./lib/state');
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { setupWorker } = require('@socket.io/sticky');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
     cors: {
-        origin: process.env.CLIENT_URL || "*",
+        origin: process.env.CLIENT_URL ? process.env.CLIENT_URL.split(',') : "*",
         methods: ["GET", "POST"]
     }
 });
 
+// When running under cluster.js, broadcasts go through the primary and the
+// primary hands us sticky connections instead of us listening ourselves
+if (cluster.isWorker) {
+    io.adapter(createAdapter());
+    setupWorker(io);
+}
+
 // Security and performance middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -30,27 +54,228 @@ app.use(helmet({
 app.use(cors());
 app.use(compression());
 app.use(morgan('combined'));
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body for signed backend requests
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Store connected users and rooms
+// Users connected to this process; rooms, usernames and stats shared
+// across processes live in the state adapter
 const users = new Map();
-const rooms = new Map();
-const messageHistory = new Map(); // Store recent messages per room
-const laravelSockets = new Set(); // Store Laravel socket connections
+const state = createStateAdapter();
 
 // Configuration
-const MAX_MESSAGE_HISTORY = 50; // Keep last 50 messages per room
+const MAX_MESSAGE_HISTORY = 50; // Replay last 50 messages on join
+const MAX_HISTORY_PAGE_SIZE = 100; // Largest page for load_history / REST
 const MAX_USERNAME_LENGTH = 20;
 const MAX_MESSAGE_LENGTH = 500;
 const MAX_ROOM_NAME_LENGTH = 30;
+const MAX_ROOMS_PER_USER = 10;
+const MAX_REACTION_LENGTH = 16;
+const MAX_REACTIONS_PER_MESSAGE = 20;
+const MAX_THREAD_REPLIES = 100;
+const QUOTE_PREVIEW_LENGTH = 100;
+const DEFAULT_MUTE_SECONDS = 10 * 60;
+const MAX_MUTE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_MODERATION_REASON_LENGTH = 200;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ROOM_PASSWORD_LENGTH = 128;
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'private'];
+const DEFAULT_INVITE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_INVITE_SECONDS = 30 * 24 * 60 * 60;
+const PRESENCE_STATUSES = ['online', 'away', 'dnd', 'invisible'];
+const LARAVEL_PRESENCE_ALIASES = { offline: 'invisible' }; // Laravel's names for our statuses
+const MAX_STATUS_TEXT_LENGTH = 100;
+const MAX_PRESENCE_LOOKUPS = 50;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const MAX_MENTIONS_PER_USER = 100; // mentions kept in each user's inbox
+const MAX_FILENAME_LENGTH = 100;
+const DEFAULT_ATTACHMENT_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'application/zip'
+];
+
+// Online users with no activity for this long show as away
+const PRESENCE_IDLE_MS = (parseInt(process.env.PRESENCE_IDLE_SECONDS, 10) || 300) * 1000;
+
+// Events that count as the user being active. Each socket reports activity
+// at most once per interval, which must stay below the idle time so the
+// first activity after going idle is always reported.
+const ACTIVITY_EVENTS = new Set(['activity', 'send_message', 'send_private_message', 'typing', 'edit_message', 'change_room', 'join_room']);
+const ACTIVITY_REPORT_INTERVAL_MS = Math.min(15000, PRESENCE_IDLE_MS / 2);
+
+// How long a dropped connection keeps its name and rooms for a reconnect
+const RESUME_GRACE_PERIOD_MS = process.env.RESUME_GRACE_PERIOD_MS !== undefined
+    ? parseInt(process.env.RESUME_GRACE_PERIOD_MS, 10) || 0
+    : 30000;
+
+// Browser authentication (HS256 tokens signed by the Laravel app)
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || '';
+const AUTH_TOKEN_ISSUER = process.env.AUTH_TOKEN_ISSUER || null;
+const ALLOW_GUEST_USERS = process.env.ALLOW_GUEST_USERS
+    ? process.env.ALLOW_GUEST_USERS === 'true'
+    : !AUTH_TOKEN_SECRET;
+
+// Backend (Laravel) client authentication. The placeholder from old example
+// configs is public, so it counts as unset.
+const PLACEHOLDER_CLIENT_TOKEN = 'your_secret_token_here';
+const LARAVEL_CLIENT_TOKEN = process.env.LARAVEL_CLIENT_TOKEN === PLACEHOLDER_CLIENT_TOKEN
+    ? ''
+    : process.env.LARAVEL_CLIENT_TOKEN || '';
+
+// Events the backend may emit to browsers, and payload limits
+const laravelEventPolicy = createEventPolicy({
+    allowlist: (process.env.LARAVEL_EVENT_ALLOWLIST || 'receive_message,notification')
+        .split(',').map(event => event.trim()).filter(Boolean),
+    prefix: process.env.LARAVEL_EVENT_PREFIX,
+    maxPayloadBytes: parseInt(process.env.LARAVEL_MAX_PAYLOAD_BYTES, 10) || undefined,
+    schemaFile: process.env.LARAVEL_EVENT_SCHEMAS,
+    maxMessageLength: MAX_MESSAGE_LENGTH
+});
+
+// Per-event token buckets for sockets, users and remote addresses.
+// RATE_LIMITS is JSON overriding rules, e.g. {"send_message":{"capacity":5,"perSecond":0.5}}
+const parseRateLimitRules = (json) => {
+    if (!json) return {};
+
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Could not parse RATE_LIMITS: ${error.message}`);
+    }
+};
+
+const rateLimiter = createRateLimiter({
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    rules: parseRateLimitRules(process.env.RATE_LIMITS),
+    ipMultiplier: parseFloat(process.env.RATE_LIMIT_IP_MULTIPLIER) || undefined,
+    banThreshold: parseInt(process.env.RATE_LIMIT_BAN_THRESHOLD, 10) || undefined,
+    addressBanThreshold: parseInt(process.env.RATE_LIMIT_ADDRESS_BAN_THRESHOLD, 10) || undefined,
+    strikeWindowSeconds: parseInt(process.env.RATE_LIMIT_STRIKE_WINDOW_SECONDS, 10) || undefined,
+    banSeconds: parseInt(process.env.RATE_LIMIT_BAN_SECONDS, 10) || undefined
+});
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Filters every inbound message passes through before it is broadcast or
+// stored (see lib/pipeline). MESSAGE_FILTERS picks and orders the stages.
+const messagePipeline = createMessagePipeline({
+    stages: process.env.MESSAGE_FILTERS !== undefined ? parseList(process.env.MESSAGE_FILTERS) : undefined,
+    words: {
+        list: parseList(process.env.FILTER_BLOCKED_WORDS),
+        mode: process.env.FILTER_BLOCKED_WORDS_MODE || undefined
+    },
+    links: {
+        rooms: parseList(process.env.FILTER_BLOCK_LINKS_IN),
+        allowedDomains: parseList(process.env.FILTER_ALLOWED_LINK_DOMAINS)
+    },
+    mentions: {
+        maxMentions: parseInt(process.env.FILTER_MAX_MENTIONS, 10) || undefined
+    },
+    duplicates: {
+        maxRepeats: parseInt(process.env.FILTER_DUPLICATE_MAX_REPEATS, 10) || undefined,
+        windowSeconds: parseInt(process.env.FILTER_DUPLICATE_WINDOW_SECONDS, 10) || undefined
+    }
+});
+
+// Behind a reverse proxy the remote address is the proxy's own
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// Outbound persistence of chat messages to Laravel
+const SAVE_MESSAGES_TO_LARAVEL = process.env.SAVE_MESSAGES_TO_LARAVEL === 'true';
+const LARAVEL_API_URL = (process.env.LARAVEL_API_URL || 'http://localhost:8000/api').replace(/\/+$/, '');
+const LARAVEL_MESSAGES_PATH = process.env.LARAVEL_MESSAGES_PATH || '/messages';
+
+// Files owned by a single process get a per-worker name when clustered
+const perWorkerPath = (filePath) => {
+    if (process.env.WORKER_INDEX === undefined) return filePath;
+    return filePath.replace(/(\.[^./]+)?$/, `.worker${process.env.WORKER_INDEX}$1`);
+};
+
+const webhookQueue = SAVE_MESSAGES_TO_LARAVEL
+    ? createWebhookQueue({
+        url: LARAVEL_API_URL + LARAVEL_MESSAGES_PATH,
+        secret: LARAVEL_CLIENT_TOKEN,
+        path: perWorkerPath(process.env.WEBHOOK_QUEUE_PATH || 'data/webhook-queue.json'),
+        deadLetterPath: perWorkerPath(process.env.WEBHOOK_DEAD_LETTER_PATH || 'data/webhook-dead-letter.jsonl'),
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || undefined,
+        baseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || undefined
+    })
+    : null;
+
+// Persistent message history (memory, file or sqlite)
+const messageStore = createMessageStore({
+    driver: process.env.MESSAGE_STORE || 'memory',
+    path: process.env.MESSAGE_STORE_PATH,
+    maxPerRoom: parseInt(process.env.MESSAGE_STORE_MAX_PER_ROOM, 10) || undefined
+});
+
+// Direct messages live in their own store, one history per pair of users
+const conversationStore = createMessageStore({
+    driver: process.env.MESSAGE_STORE || 'memory',
+    path: process.env.CONVERSATION_STORE_PATH ||
+        ((process.env.MESSAGE_STORE || 'memory') === 'sqlite' ? 'data/conversations.sqlite' : 'data/conversations.jsonl'),
+    maxPerRoom: parseInt(process.env.MESSAGE_STORE_MAX_PER_ROOM, 10) || undefined
+});
+
+// Files uploaded to rooms, referenced from messages by id (see lib/attachments)
+const attachmentStore = createAttachmentStore({
+    driver: process.env.ATTACHMENT_STORAGE || 'local',
+    path: process.env.ATTACHMENT_PATH
+});
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const ATTACHMENT_TYPES = parseList(process.env.ATTACHMENT_TYPES).map(type => type.toLowerCase());
+if (ATTACHMENT_TYPES.length === 0) {
+    ATTACHMENT_TYPES.push(...DEFAULT_ATTACHMENT_TYPES);
+}
+// Uploads wait to be sent with a message: each user may have this many bytes
+// waiting, and what isn't sent in time is deleted
+const ATTACHMENT_UNSENT_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_UNSENT_QUOTA_BYTES, 10) || 5 * ATTACHMENT_MAX_BYTES;
+const ATTACHMENT_UNSENT_TTL_MS = (parseInt(process.env.ATTACHMENT_UNSENT_TTL_SECONDS, 10) || 60 * 60) * 1000;
 
 // Utility functions
 const sanitizeInput = (input) => {
-    return input.trim().substring(0, MAX_MESSAGE_LENGTH);
+    return typeof input === 'string' ? input.trim().substring(0, MAX_MESSAGE_LENGTH) : '';
+};
+
+// Run an inbound message through the message pipeline. Returns { message }
+// to deliver, or { error } with the reason it was refused. Flagged messages
+// are marked and reported to Laravel for review.
+const filterMessage = (message, context) => {
+    const { message: filtered, rejected, flags } = messagePipeline.process(message, context);
+
+    if (rejected) {
+        console.log(`🧹 ${rejected.stage} filter refused a ${context.kind} message: ${rejected.reason}`);
+        return { error: rejected.reason };
+    }
+
+    if (flags.length) {
+        console.log(`🚩 Flagged ${context.kind} message ${filtered.id || ''}: ${flags.map(flag => flag.reason).join(', ')}`);
+        saveMessageToLaravel('message.flagged', { context: { ...context }, flags, message: filtered });
+        return { message: { ...filtered, flagged: true } };
+    }
+
+    return { message: filtered };
+};
+
+// "90 seconds", "10 minutes", "2 hours"
+const formatDuration = (seconds) => {
+    const [amount, unit] = seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+        : seconds % 60 === 0 ? [seconds / 60, 'minute']
+            : [seconds, 'second'];
+    return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// Unique message ids (also used as history cursors)
+const createMessageId = (prefix) => {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 };
 
 const isValidUsername = (username) => {
@@ -59,6 +284,23 @@ const isValidUsername = (username) => {
         /^[a-zA-Z0-9_-]+$/.test(username);
 };
 
+// A signed-in user's chat name: their username claim if it is a valid one,
+// otherwise a handle made from it or their display name ("Carol Smith" ->
+// "Carol_Smith_7"), kept apart from others' by their user ID
+const deriveUsername = (claims, userId) => {
+    if (typeof claims.username === 'string' && isValidUsername(claims.username)) {
+        return claims.username;
+    }
+
+    const suffix = userId === null ? '' : `_${String(userId).replace(/[^a-zA-Z0-9]/g, '').substring(0, 8)}`;
+    const base = String(claims.username || claims.name || 'user')
+        .normalize('NFKD')
+        .trim()
+        .replace(/\s+/g, '_')
+        .replace(/[^a-zA-Z0-9_-]/g, '') || 'user';
+    return (base.substring(0, MAX_USERNAME_LENGTH - suffix.length).replace(/[-_]+$/, '') || 'user') + suffix;
+};
+
 const isValidRoomName = (roomName) => {
     return roomName &&
         roomName.length <= MAX_ROOM_NAME_LENGTH &&
@@ -66,445 +308,3121 @@ const isValidRoomName = (roomName) => {
 };
 
 const addToMessageHistory = (room, message) => {
-    if (!messageHistory.has(room)) {
-        messageHistory.set(room, []);
+    try {
+        messageStore.append(room, message);
+    } catch (error) {
+        console.error(`❌ Failed to store message for room ${room}:`, error);
+    }
+};
+
+const getMessageHistory = (room) => {
+    try {
+        return messageStore.getRecent(room, MAX_MESSAGE_HISTORY);
+    } catch (error) {
+        console.error(`❌ Failed to load history for room ${room}:`, error);
+        return [];
     }
+};
 
-    const history = messageHistory.get(room);
-    history.push(message);
+// Page backwards through a room's history, `before` being a message id
+const getHistoryPage = (room, before = null, limit = MAX_MESSAGE_HISTORY, store = messageStore) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || MAX_MESSAGE_HISTORY, 1), MAX_HISTORY_PAGE_SIZE);
 
-    // Keep only recent messages
-    if (history.length > MAX_MESSAGE_HISTORY) {
-        history.shift();
+    // Fetch one extra message to know whether there is more to load
+    const messages = store.getRecent(room, pageSize + 1, before);
+    const hasMore = messages.length > pageSize;
+    if (hasMore) {
+        messages.shift();
     }
+
+    return {
+        room,
+        messages,
+        hasMore,
+        nextBefore: hasMore ? messages[0].id : null
+    };
 };
 
-const getMessageHistory = (room) => {
-    return messageHistory.get(room) || [];
+// A stored chat message that can still be changed; null for system messages,
+// tombstones and unknown ids
+const findChatMessage = (room, id) => {
+    if (!id) return null;
+
+    try {
+        const message = messageStore.get(room, id);
+        return message && message.type === 'message' && !message.deleted ? message : null;
+    } catch (error) {
+        console.error(`❌ Failed to load message ${id} in room ${room}:`, error);
+        return null;
+    }
 };
 
-// Process messages from Laravel socket clients
-function processLaravelMessage(socket, messageStr) {
+// Merge changes into a stored message; null if it is gone or the write failed
+const updateStoredMessage = (room, id, changes) => {
     try {
-        const message = JSON.parse(messageStr);
+        return messageStore.update(room, id, changes);
+    } catch (error) {
+        console.error(`❌ Failed to update message ${id} in room ${room}:`, error);
+        return null;
+    }
+};
 
-        console.log(`📨 Received from Laravel: ${message.type}`);
+// Stable identity for read positions and direct messages: the Laravel user
+// id, or the name for guests
+const getUserKey = (user) => {
+    return user.userId !== null && user.userId !== undefined
+        ? `user:${user.userId}`
+        : `guest:${user.username.toLowerCase()}`;
+};
 
-        switch (message.type) {
-            case 'emit':
-                handleLaravelEmit(message);
-                break;
+// Anyone may join as a guest under a free name, so a guest key proves nothing
+// once its holder is gone: nothing private is kept for later under one
+const isGuestKey = (key) => key.startsWith('guest:');
 
-            case 'emit_to_room':
-                handleLaravelRoomEmit(message);
-                break;
+// Conversation ids name both participants so either side can find them
+const getConversationId = (keyA, keyB) => `dm:${[keyA, keyB].sort().join('|')}`;
 
-            case 'room_created':
-                handleLaravelRoomCreation(message);
-                break;
+const getConversationParticipants = (conversationId) => {
+    return conversationId.startsWith('dm:') ? conversationId.slice(3).split('|') : [];
+};
 
-            case 'presence_update':
-                handleLaravelPresenceUpdate(message);
-                break;
+const listConversations = (userKey) => {
+    if (isGuestKey(userKey)) return [];
 
-            case 'ping':
-                // Respond to ping
-                socket.emit('pong', {
-                    type: 'pong',
-                    timestamp: new Date().toISOString()
-                });
-                console.log('🏓 Responded to Laravel ping');
-                break;
+    return conversationStore.listRooms()
+        .filter(conversationId => getConversationParticipants(conversationId).includes(userKey));
+};
 
-            case 'heartbeat':
-                console.log('💓 Heartbeat from Laravel');
-                break;
+// Find who a direct message is for: a connected user first, then anyone seen
+// since startup. Laravel users can be addressed by id even if never seen.
+const resolveRecipient = async ({ targetUserId, targetUsername }) => {
+    const byId = targetUserId !== undefined && targetUserId !== null && targetUserId !== '';
 
-            case 'disconnect':
-                console.log('🔌 Laravel client requested disconnect');
-                break;
+    const online = byId
+        ? await state.findUserById(targetUserId)
+        : await state.findUserByUsername(targetUsername);
+    if (online) {
+        return { key: online.key, username: online.username, userId: online.userId, online: online.devices > 0 };
+    }
 
-            default:
-                console.log(`⚠️ Unknown message type from Laravel: ${message.type}`);
-        }
+    const known = await state.findKnownUser(byId ? { key: `user:${targetUserId}` } : { username: targetUsername });
+    if (known) {
+        return { ...known, online: false };
+    }
 
-    } catch (error) {
-        console.error('❌ Error processing Laravel message:', error);
-        console.error('Raw message:', messageStr);
+    if (byId) {
+        return { key: `user:${targetUserId}`, username: targetUsername || `user-${targetUserId}`, userId: targetUserId, online: false };
     }
-}
 
-function handleLaravelEmit(message) {
-    try {
-        const { event, data } = message;
+    return null;
+};
 
-        console.log(`📡 Emitting ${event} from Laravel`);
+// Hand over direct messages that arrived while the user was offline
+const deliverPendingMessages = (socket, user) => {
+    const userKey = user.key;
+    let delivered = 0;
 
-        // Emit to all connected clients
-        io.emit(event, data);
+    if (isGuestKey(userKey)) return;
 
+    try {
+        for (const { room: conversationId, message } of conversationStore.listUndelivered(userKey)) {
+            const deliveredAt = new Date().toISOString();
+            conversationStore.update(conversationId, message.id, { deliveredAt });
+            socket.emit('receive_private_message', { ...message, deliveredAt, offline: true });
+            delivered++;
+        }
     } catch (error) {
-        console.error('❌ Error handling Laravel emit:', error);
+        console.error(`❌ Failed to deliver queued private messages to ${user.username}:`, error);
     }
-}
 
-function handleLaravelRoomEmit(message) {
-    try {
-        const { room, event, data } = message;
+    if (delivered) {
+        console.log(`📨 Delivered ${delivered} queued private message(s) to ${user.username}`);
+    }
+};
 
-        console.log(`📢 Emitting ${event} to room ${room} from Laravel`);
+// Unread chat messages per room, for the given rooms and any room the user
+// has read before
+const getUnreadCounts = async (user, rooms = []) => {
+    const positions = await state.getReadPositions(user.key);
+    const unread = {};
 
-        // Ensure room exists
-        if (!rooms.has(room)) {
-            rooms.set(room, new Set());
-            console.log(`📝 Created room tracking for: ${room}`);
+    for (const room of new Set([...rooms, ...Object.keys(positions)])) {
+        try {
+            unread[room] = messageStore.countAfter(room, positions[room] ? positions[room].messageId : null);
+        } catch (error) {
+            console.error(`❌ Failed to count unread messages in room ${room}:`, error);
         }
+    }
 
-        // Emit to specific room
-        io.to(room).emit(event, data);
+    return unread;
+};
 
-        // Add to message history if it's a message
-        if (event === 'receive_message') {
-            addToMessageHistory(room, data);
-            console.log(`💾 Added message to history for room: ${room}`);
-        }
+// Bump the reply count on a thread's root message and tell the room
+const updateThreadSummary = (room, reply) => {
+    let updated = null;
+    try {
+        const root = messageStore.get(room, reply.threadId);
+        if (!root) return;
 
+        updated = messageStore.update(room, root.id, {
+            replyCount: (root.replyCount || 0) + 1,
+            lastReplyAt: reply.timestamp
+        });
     } catch (error) {
-        console.error('❌ Error handling Laravel room emit:', error);
+        console.error(`❌ Failed to update thread ${reply.threadId} in room ${room}:`, error);
     }
-}
-
-function handleLaravelRoomCreation(message) {
-    try {
-        const { room, new_user } = message;
 
-        console.log(`🏠 Room created from Laravel: ${room.name} (${room.slug})`);
+    if (updated) {
+        io.to(room).emit('thread_updated', {
+            id: updated.id,
+            room,
+            replyCount: updated.replyCount,
+            lastReplyAt: updated.lastReplyAt
+        });
+    }
+};
 
-        // Create room tracking if needed
-        if (!rooms.has(room.slug)) {
-            rooms.set(room.slug, new Set());
-            console.log(`📝 Created room tracking for: ${room.slug}`);
-        }
-
-        // Broadcast room creation
-        if (room.type === 'collaboration') {
-            io.emit('collaboration_room_created', {
-                room: {
-                    id: room.id,
-                    slug: room.slug,
-                    name: room.name,
-                    type: room.type,
-                    collaboration_id: room.collaboration_id
-                },
-                new_user: {
-                    id: new_user.id,
-                    name: new_user.name
-                },
-                timestamp: new Date().toISOString(),
-                source: 'laravel'
-            });
-            console.log(`📢 Broadcasted collaboration room creation: ${room.name}`);
-        } else if (room.type === 'direct') {
-            console.log(`💬 Direct room created: ${room.name}`);
-        }
+// A reaction is a short emoji or shortcode without whitespace or markup
+const isValidReaction = (reaction) => {
+    return typeof reaction === 'string' &&
+        reaction.length > 0 &&
+        reaction.length <= MAX_REACTION_LENGTH &&
+        !/[\s<>&"']/.test(reaction);
+};
 
-    } catch (error) {
-        console.error('❌ Error handling Laravel room creation:', error);
+// Return a message's reactions with one user's reaction added or removed.
+// Shape: { [reaction]: { count, users: [username, ...] } }
+const applyReaction = (reactions, reaction, username, add) => {
+    const next = { ...(reactions || {}) };
+    const users = (next[reaction] && next[reaction].users) || [];
+    const updated = add
+        ? (users.includes(username) ? users : [...users, username])
+        : users.filter(reactor => reactor !== username);
+
+    if (updated.length) {
+        next[reaction] = { count: updated.length, users: updated };
+    } else {
+        delete next[reaction];
     }
-}
 
-function handleLaravelPresenceUpdate(message) {
-    try {
-        const { user_id, status, room } = message;
+    return next;
+};
 
-        console.log(`👤 User ${user_id} presence from Laravel: ${status}`);
+// Roles in a room, weakest first; a moderator can only act on lower roles
+const ROLE_RANK = { member: 0, moderator: 1, owner: 2, admin: 3 };
 
-        const presenceData = {
-            user_id,
-            status,
-            timestamp: new Date().toISOString(),
-            source: 'laravel'
-        };
+// Server-wide grants a verified token carries: global admin or moderator
+// roles, and a list of rooms the user moderates
+const getTokenGrants = (claims) => ({
+    roles: [].concat(claims?.roles || claims?.role || []),
+    moderatedRooms: [].concat(claims?.moderated_rooms || [])
+});
 
-        if (room) {
-            io.to(room).emit('user_presence_changed', { ...presenceData, room });
-            console.log(`📢 Broadcasted presence to room: ${room}`);
-        } else {
-            io.emit('user_presence_changed', presenceData);
-            console.log(`📢 Broadcasted presence globally`);
-        }
+// A user's role in a room. Owners and moderators granted in the room live in
+// the shared state; token grants can add a global admin or moderator role.
+const resolveRoomRole = async (key, grants, room) => {
+    if (grants.roles.includes('admin')) return 'admin';
 
-    } catch (error) {
-        console.error('❌ Error handling Laravel presence update:', error);
-    }
-}
+    const role = await state.getRoomRole(room, key);
+    if (role !== 'member') return role;
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id} at ${new Date().toISOString()}`);
+    return grants.roles.includes('moderator') || grants.moderatedRooms.includes(room)
+        ? 'moderator'
+        : 'member';
+};
 
-    // Track Laravel client connections
-    let isLaravelClient = false;
-    let dataBuffer = '';
+// The role of the user on a socket, from their own token
+const getRoomRole = (socket, user, room) => resolveRoomRole(user.key, getTokenGrants(socket.data.auth?.claims), room);
 
-    // Handle raw data for Laravel socket clients
-    socket.conn.on('data', (data) => {
-        try {
-            const message = data.toString().trim();
+const isRoomModerator = async (socket, user, room) => {
+    return ROLE_RANK[await getRoomRole(socket, user, room)] >= ROLE_RANK.moderator;
+};
 
-            // Check for Laravel client identification
-            if (message === 'LARAVEL_CLIENT') {
-                isLaravelClient = true;
-                socket.isLaravelClient = true;
-                laravelSockets.add(socket.id);
-                console.log('🔗 Laravel socket client connected via raw socket');
-
-                // Send acknowledgment
-                socket.emit('laravel_connected', {
-                    message: 'Laravel client connected successfully',
-                    server_time: new Date().toISOString()
-                });
-                return;
-            }
+// Authors may change their own messages. Guests are matched by the session
+// they wrote from, which survives reconnects but not the name being reused
+const isMessageAuthor = (user, message) => {
+    if (user.userId !== null && user.userId !== undefined) {
+        return String(message.userId) === String(user.userId);
+    }
+    return Boolean(message.sessionId) && message.sessionId === user.sessionId;
+};
 
-            // If it's a Laravel client, process the JSON data
-            if (isLaravelClient || socket.isLaravelClient) {
-                dataBuffer += message;
+// Queue a chat message for persistence in the Laravel database
+const saveMessageToLaravel = (event, message) => {
+    if (!webhookQueue) return;
 
-                // Process complete JSON messages (separated by newlines)
-                const messages = dataBuffer.split('\n');
-                dataBuffer = messages.pop() || ''; // Keep incomplete message
+    try {
+        webhookQueue.enqueue(event, message);
+    } catch (error) {
+        console.error(`❌ Failed to queue ${event} webhook:`, error);
+    }
+};
 
-                messages.forEach(msg => {
-                    if (msg.trim()) {
-                        processLaravelMessage(socket, msg);
-                    }
-                });
-                return;
-            }
+// A room's members, each with their role in it
+const getRoomMembers = async (room) => {
+    const [roomUsers, roles] = await Promise.all([state.getRoomUsers(room), state.getRoomRoles(room)]);
+
+    // Only what members may see of each other: a user record also lists
+    // their sockets and every room they are in, private ones included
+    return roomUsers.map(user => ({
+        username: user.username,
+        userId: user.userId,
+        devices: user.devices,
+        role: roles.owner === user.key ? 'owner' : roles.moderators.includes(user.key) ? 'moderator' : 'member',
+        ...describePresence(user.presence)
+    }));
+};
 
-        } catch (error) {
-            console.error('❌ Error processing raw socket data:', error);
-        }
-    });
+// What others see of a user's presence: invisible and disconnected users
+// look offline (with when they were last seen), idle online users look away
+const describePresence = (presence, online = true) => {
+    const hidden = !online || presence.status === 'invisible';
+    const status = hidden ? 'offline' : presence.status === 'online' && presence.idle ? 'away' : presence.status;
+
+    return {
+        status,
+        statusText: hidden ? null : presence.statusText,
+        idle: !hidden && presence.idle,
+        lastSeenAt: hidden && presence.lastSeenAt ? new Date(presence.lastSeenAt).toISOString() : null
+    };
+};
 
-    // Regular Socket.IO event handlers for browser clients
-    socket.on('join', (userData) => {
-        // Skip if this is a Laravel client
-        if (socket.isLaravelClient) return;
+// What a user sees of their own presence
+const describeOwnPresence = (presence) => ({
+    status: presence.status,
+    statusText: presence.statusText,
+    idle: presence.idle
+});
 
-        try {
-            const { username, room = 'general', userId = null } = userData;
+// Tell everyone sharing a room with a user that their presence changed,
+// and the user's own devices what they set
+const broadcastPresence = async (user, presence) => {
+    const rooms = await state.getUserRooms(user.key);
+    const timestamp = new Date().toISOString();
+
+    if (rooms.length) {
+        io.to(rooms).except(personalRoom(user.key)).emit('presence_changed', {
+            username: user.username,
+            userId: user.userId,
+            ...describePresence(presence),
+            timestamp
+        });
+    }
+    io.to(personalRoom(user.key)).emit('status_changed', { ...describeOwnPresence(presence), timestamp });
+};
 
-            // Validate input
-            if (!isValidUsername(username)) {
-                socket.emit('error', {
-                    message: 'Invalid username. Use only letters, numbers, hyphens, and underscores (max 20 chars)'
-                });
-                return;
-            }
+// Change a user's status and/or status text: { status, statusText }, where
+// a null statusText clears it. Returns { presence } or { error }.
+const setUserStatus = async (user, { status, statusText }) => {
+    if (status === undefined && statusText === undefined) {
+        return { error: 'Nothing to update' };
+    }
+    if (status !== undefined && !PRESENCE_STATUSES.includes(status)) {
+        return { error: `Status must be one of: ${PRESENCE_STATUSES.join(', ')}` };
+    }
+    if (statusText !== undefined && statusText !== null && typeof statusText !== 'string') {
+        return { error: 'Status text must be a string' };
+    }
 
-            if (!isValidRoomName(room)) {
-                socket.emit('error', {
-                    message: 'Invalid room name. Use only letters, numbers, hyphens, and underscores (max 30 chars)'
-                });
-                return;
-            }
+    const changes = {};
+    if (status !== undefined) {
+        changes.status = status;
 
-            // Check if username is already taken
-            const existingUser = Array.from(users.values())
-                .find(user => user.username.toLowerCase() === username.toLowerCase());
+        // Others see an invisible user as last seen now
+        if (status === 'invisible') {
+            changes.lastSeenAt = Date.now();
+        }
+    }
+    if (statusText !== undefined) {
+        changes.statusText = sanitizeInput(statusText).substring(0, MAX_STATUS_TEXT_LENGTH) || null;
+    }
 
-            if (existingUser) {
-                socket.emit('error', {
-                    message: 'Username already taken. Please choose another one.'
-                });
-                return;
-            }
+    const presence = await state.updatePresence(user.key, changes);
+    await broadcastPresence(user, presence);
+    return { presence };
+};
 
-            // Store user data with Laravel user ID if provided
-            users.set(socket.id, {
-                username,
-                room,
-                socketId: socket.id,
-                userId: userId, // Laravel user ID for integration
-                joinedAt: new Date().toISOString()
-            });
+// Record activity from a socket's user; the first after an idle spell
+// brings them back from away
+const noteActivity = async (socket, user) => {
+    const now = Date.now();
+    if (now - (socket.data.lastActivityAt || 0) < ACTIVITY_REPORT_INTERVAL_MS) return;
+    socket.data.lastActivityAt = now;
 
-            // Join the room
-            socket.join(room);
+    const { presence, wasIdle } = await state.recordActivity(user.key, now);
+    if (wasIdle) {
+        await broadcastPresence(user, presence);
+    }
+};
 
-            // Add user to room tracking
-            if (!rooms.has(room)) {
-                rooms.set(room, new Set());
-            }
-            rooms.get(room).add(socket.id);
+// Each process idles the users connected to it once they have been
+// inactive for PRESENCE_IDLE_MS
+const markIdleUsers = async () => {
+    const before = Date.now() - PRESENCE_IDLE_MS;
+    const checked = new Set();
 
-            // Send message history to new user
-            const history = getMessageHistory(room);
-            socket.emit('message_history', history);
+    for (const user of users.values()) {
+        if (checked.has(user.key)) continue;
+        checked.add(user.key);
 
-            // Notify user they joined
+        const presence = await state.markIdle(user.key, before);
+        if (presence) {
+            await broadcastPresence(user, presence);
+        }
+    }
+};
+
+const idleTimer = setInterval(() => {
+    markIdleUsers().catch(error => console.error('❌ Failed to mark idle users:', error));
+}, Math.min(30000, PRESENCE_IDLE_MS / 2));
+idleTimer.unref();
+
+// Delete uploads nobody sent in time, giving their users the space back
+const purgeUnsentAttachments = async () => {
+    const removed = await attachmentStore.removeUnsent(Date.now() - ATTACHMENT_UNSENT_TTL_MS);
+    for (const attachment of removed) {
+        await state.releaseUpload(attachment.uploadedBy.key, attachment.id);
+    }
+
+    if (removed.length) {
+        console.log(`🧹 Deleted ${removed.length} attachment(s) that were never sent`);
+    }
+};
+
+const attachmentPurgeTimer = setInterval(() => {
+    purgeUnsentAttachments().catch(error => console.error('❌ Failed to delete unsent attachments:', error));
+}, Math.min(10 * 60 * 1000, ATTACHMENT_UNSENT_TTL_MS));
+attachmentPurgeTimer.unref();
+
+// Send the current member list of a room to everyone in it.
+// users_update is kept for single-room clients; room_users says which room.
+const broadcastRoomUsers = async (room) => {
+    const roomUsers = await getRoomMembers(room);
+    io.to(room).emit('users_update', roomUsers);
+    io.to(room).emit('room_users', { room, users: roomUsers });
+};
+
+// Post a system message to everyone else in a room and store it
+const announceToRoom = (socket, room, event, content) => {
+    const message = {
+        id: createMessageId('system'),
+        type: 'system',
+        content,
+        room,
+        timestamp: new Date().toISOString()
+    };
+
+    socket.to(room).emit(event, message);
+    addToMessageHistory(room, message);
+};
+
+// Add a user's socket to a room. Returns the member count and the history to
+// replay, read before the join is announced so it doesn't include it. The
+// join is only announced for the user's first socket in the room.
+const enterRoom = async (socket, user, room) => {
+    const alreadyMember = user.rooms.includes(room);
+
+    socket.join(room);
+    if (!alreadyMember) {
+        user.rooms.push(room);
+    }
+    await state.updateUser(socket.id, { room: user.room, rooms: user.rooms });
+    const { userCount, firstDevice } = await state.joinRoom(room, socket.id);
+
+    const history = getMessageHistory(room);
+
+    if (!alreadyMember) {
+        if (firstDevice) {
+            announceToRoom(socket, room, 'user_joined', `${user.username} joined the room`);
+        }
+        await broadcastRoomUsers(room);
+    }
+
+    return { userCount, history };
+};
+
+// Remove a user's socket from one room; the user has left once their last
+// socket in it has
+const exitRoom = async (socket, user, room) => {
+    socket.leave(room);
+    user.rooms = user.rooms.filter(joined => joined !== room);
+    if (user.room === room) {
+        user.room = user.rooms[0] || null;
+    }
+    await state.updateUser(socket.id, { room: user.room, rooms: user.rooms });
+    const { lastDevice } = await state.leaveRoom(room, socket.id);
+
+    if (lastDevice) {
+        announceToRoom(socket, room, 'user_left', `${user.username} left the room`);
+    }
+    await broadcastRoomUsers(room);
+};
+
+// Every socket of a user joins a personal room, so events can be fanned out
+// to all of their devices. The ':' keeps it apart from chat room names.
+const personalRoom = (userKey) => `user:${userKey}`;
+
+// Whether a socket is in a chat room (personal rooms don't count)
+const isInRoom = (socket, room) => isValidRoomName(room) && socket.rooms.has(room);
+
+// What anyone may see about a room; never the password hash or allowlist
+const describeRoom = (info) => ({
+    name: info.name,
+    topic: info.topic,
+    description: info.description,
+    createdBy: info.createdBy,
+    createdAt: info.createdAt,
+    visibility: info.visibility,
+    passwordProtected: Boolean(info.passwordHash),
+    ...(info.userCount !== undefined && { userCount: info.userCount })
+});
+
+// Whether entering a room takes more than knowing its name
+const isRestrictedRoom = (info) => info.visibility === 'private' || Boolean(info.passwordHash);
+
+// Whether anyone may read a room's history over HTTP. History stored before
+// room settings were saved has none, and may be a private room's: it stays
+// hidden until someone opens the room again.
+const isPublicHistory = (room, info) => {
+    return !isRestrictedRoom(info) && (Boolean(info.createdAt) || getMessageCount(room) === 0);
+};
+
+// Whether a room shows up in the public HTTP API: unlisted and private rooms don't
+const isListedRoom = (room, info) => info.visibility === 'public' && isPublicHistory(room, info);
+
+// Laravel's direct and collaboration rooms: only the members it sends may enter
+const isManagedRoom = (info) => info.managedBy === 'laravel';
+
+// Check room settings sent by a client: { topic, description, visibility,
+// password }. A null password removes it. Returns { changes } for
+// state.updateRoomInfo, or { error }.
+const parseRoomSettings = (data) => {
+    const changes = {};
+
+    for (const [field, maxLength] of [['topic', MAX_TOPIC_LENGTH], ['description', MAX_DESCRIPTION_LENGTH]]) {
+        if (data[field] === undefined) continue;
+        if (data[field] !== null && typeof data[field] !== 'string') {
+            return { error: `${field} must be a string` };
+        }
+        changes[field] = sanitizeInput(data[field] || '').substring(0, maxLength) || null;
+    }
+
+    if (data.visibility !== undefined) {
+        if (!ROOM_VISIBILITIES.includes(data.visibility)) {
+            return { error: `visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}` };
+        }
+        changes.visibility = data.visibility;
+    }
+
+    if (data.password !== undefined) {
+        if (data.password !== null && (!isNonEmptyString(data.password) || data.password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+            return { error: `password must be 1-${MAX_ROOM_PASSWORD_LENGTH} characters, or null to remove it` };
+        }
+        changes.passwordHash = data.password ? hashPassword(data.password) : null;
+    }
+
+    return { changes };
+};
+
+// Check that a user may enter a room. A room nobody has created yet is
+// created with the settings in `options`; otherwise `options.password` or
+// `options.inviteCode` open a restricted room, and put the user on its
+// allowlist. Returns null when they may enter, or the reason they may not.
+const admitToRoom = async (socket, user, room, options = {}) => {
+    const { ban } = await state.getRestrictions(room, user.key);
+    if (ban) return `You are banned from ${room}`;
+
+    let info = await state.getRoomInfo(room);
+
+    if (!info.createdAt) {
+        const { changes, error } = parseRoomSettings(options);
+        if (error) return error;
+
+        // Nobody could let anyone back into a guest's locked room once they left
+        if (isRestrictedRoom(changes) && isGuestKey(user.key)) {
+            return 'Sign in to create private or password-protected rooms';
+        }
+
+        if (await state.createRoom(room, { ...changes, createdBy: user.username, createdAt: new Date().toISOString() })) {
+            if (isRestrictedRoom(changes)) {
+                await state.setRoomMember(room, user.key, true);
+            }
+            console.log(`🏠 ${user.username} created ${changes.visibility || 'public'} room: ${room}`);
+
+            // Signed-in users own the rooms they create. A guest name can be
+            // taken by someone else once the guest leaves, so guests never
+            // own rooms, and nobody takes over a room someone else created.
+            if (user.userId !== null && user.userId !== undefined && await state.claimRoom(room, user.key)) {
+                console.log(`👑 ${user.username} owns room: ${room}`);
+            }
+            return null;
+        }
+        info = await state.getRoomInfo(room);
+    }
+
+    if (!isRestrictedRoom(info) || info.allowlist.includes(user.key)) return null;
+
+    // Laravel alone decides who belongs in the rooms it manages
+    if (isManagedRoom(info)) return `Only members of ${room} can join it`;
+    if (await isRoomModerator(socket, user, room)) return null;
+
+    if (options.inviteCode) {
+        return await state.redeemInvite(room, String(options.inviteCode), user.key)
+            ? null
+            : 'That invitation is invalid or has expired';
+    }
+    if (info.visibility === 'private') {
+        return `${room} is private; you need an invitation to join`;
+    }
+    if (!isNonEmptyString(options.password)) {
+        return `${room} requires a password`;
+    }
+    if (!verifyPassword(options.password, info.passwordHash)) {
+        return `Wrong password for ${room}`;
+    }
+
+    await state.setRoomMember(room, user.key, true);
+    return null;
+};
+
+// The parts of a join request that open or create a room
+const getRoomOptions = ({ password, inviteCode, visibility, description } = {}) => ({
+    password,
+    inviteCode,
+    visibility,
+    description
+});
+
+// Whether a user may see who is in a room and what it is about: anyone for
+// open rooms, else those inside it or admitted to it
+const canViewRoom = async (socket, user, room) => {
+    const info = await state.getRoomInfo(room);
+    if (!isRestrictedRoom(info) || isInRoom(socket, room)) return true;
+
+    return Boolean(user) && (info.allowlist.includes(user.key) ||
+        (!isManagedRoom(info) && await isRoomModerator(socket, user, room)));
+};
+
+// Why a room's members can't be changed from the chat, or null when they can
+const getMembershipLock = async (room) => {
+    return isManagedRoom(await state.getRoomInfo(room)) ? `Members of ${room} are managed by the Laravel app` : null;
+};
+
+// The rooms a user sees listed: public ones and those they are in
+const listVisibleRooms = async (user) => {
+    const rooms = await state.listRooms();
+    return rooms
+        .filter(room => room.visibility === 'public' || (user && user.rooms.includes(room.name)))
+        .map(describeRoom);
+};
+
+// Drop a room from the records of a user's sockets on this process
+const forgetRoomLocally = (room, userKey) => {
+    for (const user of users.values()) {
+        if (user.key !== userKey || !user.rooms.includes(room)) continue;
+
+        user.rooms = user.rooms.filter(joined => joined !== room);
+        if (user.room === room) {
+            user.room = user.rooms[0] || null;
+        }
+    }
+};
+
+// Other workers hold their own records of the user's sockets
+io.on('room_evicted', ({ room, userKey }) => forgetRoomLocally(room, userKey));
+
+// Take a user out of a room on all of their devices, on every process.
+// Returns false if they weren't in it.
+const evictFromRoom = async (room, userKey) => {
+    const { socketIds } = await state.removeUserFromRoom(room, userKey);
+
+    io.in(personalRoom(userKey)).socketsLeave(room);
+    forgetRoomLocally(room, userKey);
+    if (cluster.isWorker) {
+        io.serverSideEmit('room_evicted', { room, userKey });
+    }
+
+    await broadcastRoomUsers(room);
+    return socketIds.length > 0;
+};
+
+// Post a stored system message to everyone in a room, the actor included
+const postSystemMessage = (room, event, content, details = {}) => {
+    const message = {
+        id: createMessageId('system'),
+        type: 'system',
+        content,
+        room,
+        ...details,
+        timestamp: new Date().toISOString()
+    };
+
+    io.to(room).emit(event, message);
+    addToMessageHistory(room, message);
+    return message;
+};
+
+// Record a moderation action: a system message to the room, a notice to all
+// of the target's devices, and a webhook for Laravel
+const announceModeration = (room, action, moderator, target, content, details = {}) => {
+    const message = postSystemMessage(room, 'room_moderation', content, {
+        action,
+        target: target.username,
+        by: moderator.username,
+        ...details
+    });
+
+    io.to(personalRoom(target.key)).emit('moderated', {
+        room,
+        action,
+        by: moderator.username,
+        ...details,
+        timestamp: message.timestamp
+    });
+
+    saveMessageToLaravel('room.moderation', {
+        room,
+        action,
+        targetUserId: target.userId,
+        targetUsername: target.username,
+        moderatorUserId: moderator.userId,
+        moderatorUsername: moderator.username,
+        ...details,
+        timestamp: message.timestamp
+    });
+
+    console.log(`🛡️ ${moderator.username} ${action} ${target.username} in ${room}`);
+};
+
+// Track a room that may not have members yet (e.g. created by Laravel)
+const trackRoom = (room) => {
+    state.ensureRoom(room)
+        .then(created => {
+            if (created) {
+                console.log(`📝 Created room tracking for: ${room}`);
+            }
+        })
+        .catch(error => console.error(`❌ Failed to track room ${room}:`, error));
+};
+
+const getMessageCount = (room) => {
+    try {
+        return messageStore.count(room);
+    } catch (error) {
+        console.error(`❌ Failed to count messages for room ${room}:`, error);
+        return 0;
+    }
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Chat messages from Laravel go through the message pipeline like any other;
+// the filtered payload replaces message.data. Returns a refusal reason or null.
+const filterLaravelChatMessage = (message) => {
+    if (message.event !== 'receive_message') return null;
+
+    const { message: filtered, error } = filterMessage(message.data, {
+        kind: 'laravel',
+        room: message.room || null,
+        senderKey: null
+    });
+    if (error) return error;
+
+    message.data = filtered;
+    return null;
+};
+
+// Validate backend messages (shared by the socket protocol and the HTTP API)
+// and filter the chat messages among them.
+// Returns an error description, or null when the message is valid.
+function validateLaravelMessage(type, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return 'Payload must be a JSON object';
+    }
+
+    switch (type) {
+        case 'emit':
+            if (!isNonEmptyString(message.event)) return 'event is required';
+            return laravelEventPolicy.check(message.event, message.data) || filterLaravelChatMessage(message);
+
+        case 'emit_to_room':
+            if (!isNonEmptyString(message.room)) return 'room is required';
+            if (!isNonEmptyString(message.event)) return 'event is required';
+            return laravelEventPolicy.check(message.event, message.data) || filterLaravelChatMessage(message);
+
+        case 'room_created': {
+            const { room, new_user } = message;
+            if (!room || typeof room !== 'object') return 'room is required';
+            if (!isNonEmptyString(room.slug)) return 'room.slug is required';
+            if (!isValidRoomName(room.slug)) return 'room.slug must be a valid room name';
+            if (room.type === 'collaboration' && (!new_user || new_user.id === undefined)) {
+                return 'new_user is required for collaboration rooms';
+            }
+            if (room.visibility !== undefined && !ROOM_VISIBILITIES.includes(room.visibility)) {
+                return `room.visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}`;
+            }
+            if (room.member_ids !== undefined && !Array.isArray(room.member_ids)) {
+                return 'room.member_ids must be an array';
+            }
+            return null;
+        }
+
+        case 'member_added':
+        case 'member_removed':
+            if (!isNonEmptyString(message.room)) return 'room is required';
+            if (!isValidRoomName(message.room)) return 'room must be a valid room name';
+            if (message.user_id === undefined || message.user_id === null) return 'user_id is required';
+            return null;
+
+        case 'presence_update':
+            if (message.user_id === undefined || message.user_id === null) return 'user_id is required';
+            if (!isNonEmptyString(message.status)) return 'status is required';
+            if (message.status_text !== undefined && message.status_text !== null && typeof message.status_text !== 'string') {
+                return 'status_text must be a string';
+            }
+            if (message.room !== undefined && !isNonEmptyString(message.room)) return 'room must be a non-empty string';
+            return null;
+
+        default:
+            return null;
+    }
+}
+
+// Tell a backend client why its message was not processed
+function rejectLaravelMessage(socket, type, reason) {
+    console.log(`🚫 Rejected ${type} from Laravel: ${reason}`);
+    socket.emit('laravel_rejected', {
+        type,
+        reason,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Process messages from Laravel socket clients
+function processLaravelMessage(socket, messageStr) {
+    try {
+        const message = JSON.parse(messageStr);
+
+        console.log(`📨 Received from Laravel: ${message.type}`);
+
+        const validationError = validateLaravelMessage(message.type, message);
+        if (validationError) {
+            rejectLaravelMessage(socket, message.type, validationError);
+            return;
+        }
+
+        switch (message.type) {
+            case 'emit':
+                handleLaravelEmit(message);
+                break;
+
+            case 'emit_to_room':
+                handleLaravelRoomEmit(message);
+                break;
+
+            case 'room_created':
+                handleLaravelRoomCreation(message);
+                break;
+
+            case 'presence_update':
+                handleLaravelPresenceUpdate(message);
+                break;
+
+            case 'member_added':
+                handleLaravelMemberAdded(message);
+                break;
+
+            case 'member_removed':
+                handleLaravelMemberRemoved(message);
+                break;
+
+            case 'ping':
+                // Respond to ping
+                socket.emit('pong', {
+                    type: 'pong',
+                    timestamp: new Date().toISOString()
+                });
+                console.log('🏓 Responded to Laravel ping');
+                break;
+
+            case 'heartbeat':
+                console.log('💓 Heartbeat from Laravel');
+                break;
+
+            case 'disconnect':
+                console.log('🔌 Laravel client requested disconnect');
+                break;
+
+            default:
+                console.log(`⚠️ Unknown message type from Laravel: ${message.type}`);
+        }
+
+    } catch (error) {
+        console.error('❌ Error processing Laravel message:', error);
+        console.error('Raw message:', messageStr);
+    }
+}
+
+function handleLaravelEmit(message) {
+    try {
+        const { event, data } = message;
+
+        console.log(`📡 Emitting ${event} from Laravel`);
+
+        // Emit to all connected clients
+        io.emit(event, data);
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error handling Laravel emit:', error);
+        return false;
+    }
+}
+
+function handleLaravelRoomEmit(message) {
+    try {
+        const { room, event, data } = message;
+
+        console.log(`📢 Emitting ${event} to room ${room} from Laravel`);
+
+        // Ensure room exists
+        trackRoom(room);
+
+        // Emit to specific room
+        io.to(room).emit(event, data);
+
+        // Add to message history if it's a message
+        if (event === 'receive_message') {
+            addToMessageHistory(room, data);
+            console.log(`💾 Added message to history for room: ${room}`);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error handling Laravel room emit:', error);
+        return false;
+    }
+}
+
+// Laravel alone decides who may enter these rooms
+const LARAVEL_MEMBERSHIP_ROOM_TYPES = ['direct', 'collaboration'];
+
+// The Laravel user IDs a new room starts with: its members, owner and creator
+const getLaravelRoomMembers = (room, new_user) => {
+    const ids = [...(room.member_ids || []), room.owner_id, new_user && new_user.id];
+    return [...new Set(ids.filter(id => id !== undefined && id !== null).map(String))];
+};
+
+// Save a Laravel room's settings and members before announcing it, so its
+// members can join as soon as they hear about it
+const setUpLaravelRoom = async (room, new_user) => {
+    const hasMembership = LARAVEL_MEMBERSHIP_ROOM_TYPES.includes(room.type);
+    const memberIds = getLaravelRoomMembers(room, new_user);
+
+    // The Laravel user who owns the room may moderate it and grant moderators.
+    // Whoever claimed the slug first loses it, along with their moderators
+    const roles = await state.getRoomRoles(room.slug);
+    for (const key of roles.moderators) {
+        await state.setRoomModerator(room.slug, key, false);
+    }
+    const hasOwner = room.owner_id !== undefined && room.owner_id !== null;
+    await state.setRoomOwner(room.slug, hasOwner ? `user:${room.owner_id}` : null);
+
+    // Laravel's settings win over those of anyone who joined the slug first
+    await state.updateRoomInfo(room.slug, {
+        description: typeof room.description === 'string' ? room.description.substring(0, MAX_DESCRIPTION_LENGTH) : null,
+        visibility: hasMembership ? 'private' : room.visibility || 'public',
+        managedBy: hasMembership ? 'laravel' : null,
+        passwordHash: null,
+        createdBy: 'laravel',
+        createdAt: room.created_at || new Date().toISOString()
+    });
+
+    if (hasMembership) {
+        const memberKeys = memberIds.map(id => `user:${id}`);
+        const { allowlist } = await state.getRoomInfo(room.slug);
+        for (const key of allowlist.filter(key => !memberKeys.includes(key))) {
+            await state.setRoomMember(room.slug, key, false);
+        }
+        for (const key of memberKeys) {
+            await state.setRoomMember(room.slug, key, true);
+        }
+    }
+
+    // Anyone already inside who may no longer enter has to leave
+    const info = await state.getRoomInfo(room.slug);
+    if (isRestrictedRoom(info)) {
+        for (const occupant of await state.getRoomUsers(room.slug)) {
+            if (info.allowlist.includes(occupant.key) || !(await evictFromRoom(room.slug, occupant.key))) continue;
+
+            announceLaravelRemoval(room.slug, occupant);
+            console.log(`🚪 Removed ${occupant.username} from ${room.slug}; not a member in Laravel`);
+        }
+    }
+
+    if (room.type === 'collaboration') {
+        io.to(memberIds.map(id => personalRoom(`user:${id}`))).emit('collaboration_room_created', {
+            room: {
+                id: room.id,
+                slug: room.slug,
+                name: room.name,
+                type: room.type,
+                collaboration_id: room.collaboration_id
+            },
+            new_user: {
+                id: new_user.id,
+                name: new_user.name
+            },
+            timestamp: new Date().toISOString(),
+            source: 'laravel'
+        });
+        console.log(`📢 Sent collaboration room creation to ${memberIds.length} member(s): ${room.name}`);
+    } else if (room.type === 'direct') {
+        console.log(`💬 Direct room created: ${room.name}`);
+    }
+};
+
+function handleLaravelRoomCreation(message) {
+    try {
+        const { room, new_user } = message;
+
+        console.log(`🏠 Room created from Laravel: ${room.name} (${room.slug})`);
+
+        // Create room tracking if needed
+        trackRoom(room.slug);
+
+        setUpLaravelRoom(room, new_user)
+            .catch(error => console.error(`❌ Failed to set up room ${room.slug}:`, error));
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error handling Laravel room creation:', error);
+        return false;
+    }
+}
+
+// A member Laravel adds to a room it manages; the room becomes managed if
+// the server hadn't heard of it (e.g. after a restart)
+const addLaravelMember = async (room, userId) => {
+    const info = await state.getRoomInfo(room);
+
+    if (!isManagedRoom(info)) {
+        await state.updateRoomInfo(room, {
+            visibility: 'private',
+            managedBy: 'laravel',
+            createdBy: info.createdBy || 'laravel',
+            createdAt: info.createdAt || new Date().toISOString()
+        });
+    }
+    await state.setRoomMember(room, `user:${userId}`, true);
+};
+
+function handleLaravelMemberAdded(message) {
+    try {
+        const { room, user_id } = message;
+
+        console.log(`➕ Laravel added user ${user_id} to room: ${room}`);
+
+        addLaravelMember(room, user_id)
+            .catch(error => console.error(`❌ Failed to add user ${user_id} to room ${room}:`, error));
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error handling Laravel member addition:', error);
+        return false;
+    }
+}
+
+// Tell a room and the user that Laravel took them out of it
+const announceLaravelRemoval = (room, target) => {
+    const message = postSystemMessage(room, 'room_moderation', `${target.username} was removed from the room`, {
+        action: 'removed',
+        target: target.username,
+        by: null
+    });
+    io.to(personalRoom(target.key)).emit('moderated', {
+        room,
+        action: 'removed',
+        by: null,
+        timestamp: message.timestamp
+    });
+};
+
+// Take a user Laravel removed out of the room on all of their devices
+const removeLaravelMember = async (room, userId) => {
+    const target = await resolveRecipient({ targetUserId: userId });
+
+    await state.setRoomMember(room, target.key, false);
+    if (await evictFromRoom(room, target.key)) {
+        announceLaravelRemoval(room, target);
+    }
+};
+
+function handleLaravelMemberRemoved(message) {
+    try {
+        const { room, user_id } = message;
+
+        console.log(`➖ Laravel removed user ${user_id} from room: ${room}`);
+
+        removeLaravelMember(room, user_id)
+            .catch(error => console.error(`❌ Failed to remove user ${user_id} from room ${room}:`, error));
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error handling Laravel member removal:', error);
+        return false;
+    }
+}
+
+// A status set in the Laravel app is the user's status here too. Statuses
+// we don't know are still relayed, but leave the user's own status alone.
+function handleLaravelPresenceUpdate(message) {
+    try {
+        const { user_id, status, status_text, room } = message;
+
+        console.log(`👤 User ${user_id} presence from Laravel: ${status}`);
+
+        const knownStatus = LARAVEL_PRESENCE_ALIASES[status] || status;
+        const changes = {
+            status: PRESENCE_STATUSES.includes(knownStatus) ? knownStatus : undefined,
+            statusText: status_text
+        };
+        resolveRecipient({ targetUserId: user_id })
+            .then(user => setUserStatus(user, changes))
+            .catch(error => console.error(`❌ Failed to update presence of user ${user_id}:`, error));
+
+        const presenceData = {
+            user_id,
+            status: status === 'invisible' ? 'offline' : status,
+            timestamp: new Date().toISOString(),
+            source: 'laravel'
+        };
+
+        if (room) {
+            io.to(room).emit('user_presence_changed', { ...presenceData, room });
+            console.log(`📢 Broadcasted presence to room: ${room}`);
+        } else {
+            io.emit('user_presence_changed', presenceData);
+            console.log(`📢 Broadcasted presence globally`);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error handling Laravel presence update:', error);
+        return false;
+    }
+}
+
+const getClientAddress = (socket) => {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    return TRUST_PROXY && forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+};
+
+// Client-facing description of a rate limit violation
+const describeRateLimit = (limited) => ({
+    event: limited.event,
+    message: limited.banned
+        ? 'Too many requests; you are temporarily banned'
+        : `Too many "${limited.event}" requests, slow down`,
+    scope: limited.scope,
+    banned: limited.banned,
+    retryAfter: Math.ceil(limited.retryAfter / 1000),
+    retryAfterMs: limited.retryAfter
+});
+
+const logAuthFailure = (socket, kind, reason) => {
+    console.log(`🔒 ${kind} auth failed for ${socket.id} from ${socket.handshake.address}: ${reason}`);
+};
+
+// Signatures stay valid for MAX_SIGNATURE_SKEW either side of now, so their
+// nonces are remembered for that long (on every process, via the state adapter)
+const useNonce = (kind, nonce) => state.useNonce(`${kind}:${nonce}`, 2 * MAX_SIGNATURE_SKEW * 1000);
+
+// Check a backend client's credentials; a signature may only be used once
+const authenticateBackendClient = async (credentials) => {
+    verifyBackendCredentials(credentials, LARAVEL_CLIENT_TOKEN);
+    if (!credentials.token && !(await useNonce('client', credentials.nonce))) {
+        throw new Error('Client signature was already used');
+    }
+};
+
+// Authenticate Laravel backend clients that identify in the handshake:
+// auth: { client: 'laravel', token } or { client: 'laravel', timestamp, nonce, signature }
+io.use((socket, next) => {
+    const credentials = socket.handshake.auth || {};
+    if (credentials.client !== 'laravel') return next();
+
+    authenticateBackendClient(credentials)
+        .then(() => {
+            socket.data.laravelClient = true;
+            next();
+        })
+        .catch(error => {
+            logAuthFailure(socket, 'Laravel client', error.message);
+            next(new Error('Authentication failed'));
+        });
+});
+
+// Verify signed browser tokens before the connection is accepted.
+// Connections without a token continue as guests (or backend clients).
+io.use((socket, next) => {
+    if (socket.data.laravelClient) return next();
+
+    const token = socket.handshake.auth?.token;
+    if (!token) return next();
+
+    try {
+        if (!AUTH_TOKEN_SECRET) {
+            throw new Error('AUTH_TOKEN_SECRET is not configured');
+        }
+
+        const claims = verifyToken(token, AUTH_TOKEN_SECRET, { issuer: AUTH_TOKEN_ISSUER, leeway: 30 });
+
+        const userId = claims.sub ?? claims.user_id ?? null;
+        socket.data.auth = {
+            userId,
+            username: deriveUsername(claims, userId),
+            claims
+        };
+        next();
+    } catch (error) {
+        logAuthFailure(socket, 'Browser token', error.message);
+
+        const authError = new Error('Authentication failed');
+        authError.data = { reason: error.message };
+        next(authError);
+    }
+});
+
+// An attachment as messages carry it
+const describeAttachment = (attachment) => ({
+    id: attachment.id,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    url: `/api/attachments/${attachment.id}`,
+    thumbnailUrl: attachment.thumbnail ? `/api/attachments/${attachment.id}/thumbnail` : null
+});
+
+// Look up the attachments a user wants to send with a message. They must
+// have uploaded each one to the same room, and not sent it yet.
+// Returns { attachments } or { error }.
+const resolveAttachments = async (user, room, ids) => {
+    if (ids === undefined || ids === null) {
+        return { attachments: [] };
+    }
+    if (!Array.isArray(ids) || ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+        return { error: `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files to a message` };
+    }
+
+    const attachments = [];
+    for (const id of new Set(ids.map(String))) {
+        const attachment = await attachmentStore.get(id);
+        if (!attachment || attachment.room !== room || attachment.uploadedBy.key !== user.key) {
+            return { error: 'Attachment not found' };
+        }
+        if (attachment.messageId) {
+            return { error: `${attachment.filename} was already sent` };
+        }
+        attachments.push(attachment);
+    }
+    return { attachments };
+};
+
+// Delete a file along with the message it was sent with. Files that other
+// messages may share (sent before attachments were claimed) are kept.
+const removeMessageAttachment = async (message, id) => {
+    const attachment = await attachmentStore.get(id);
+    if (attachment && attachment.messageId === message.id) {
+        await attachmentStore.remove(id);
+    }
+};
+
+// Whether an @here mention reaches a room member: not idle, away or busy
+const isAvailable = (presence) => !presence.idle && !['away', 'dnd'].includes(presence.status);
+
+// Who a message's @mentions reach: named users who may see the room, and its
+// available (@here) or all (@room) members. Returns null without mentions,
+// else { mentions: { users, group } to store on the message, targets: [{ key,
+// username, group }] to notify, where `group` is null for named users }.
+const resolveMentions = async (sender, room, content) => {
+    const { usernames, group } = parseMentions(content);
+    if (!usernames.length && !group) return null;
+
+    const [members, info] = await Promise.all([state.getRoomUsers(room), state.getRoomInfo(room)]);
+    const targets = new Map(); // user key -> target
+    const named = [];
+
+    if (group) {
+        members
+            .filter(member => group === 'room' || isAvailable(member.presence))
+            .forEach(member => targets.set(member.key, { key: member.key, username: member.username, group }));
+    }
+
+    for (const name of usernames) {
+        const member = members.find(candidate => candidate.username.toLowerCase() === name);
+        const target = member || await resolveRecipient({ targetUsername: name });
+
+        // Nobody outside a restricted room hears about it unless they may
+        // join, and offline guests keep no inbox (see isGuestKey)
+        if (!target || (!member && isRestrictedRoom(info) && !info.allowlist.includes(target.key))) continue;
+        if (!member && !target.online && isGuestKey(target.key)) continue;
+
+        named.push(target.username);
+        targets.set(target.key, { key: target.key, username: target.username, group: null });
+    }
+
+    targets.delete(sender.key);
+    return { mentions: { users: named, group }, targets: Array.from(targets.values()) };
+};
+
+// Put a message in each target's mentions inbox and tell their devices
+const notifyMentions = async (sender, message, targets) => {
+    const mention = {
+        messageId: message.id,
+        room: message.room,
+        from: sender.username,
+        content: message.content.substring(0, QUOTE_PREVIEW_LENGTH),
+        timestamp: message.timestamp
+    };
+
+    for (const target of targets) {
+        const unread = await state.addMention(target.key, { ...mention, group: target.group }, MAX_MENTIONS_PER_USER);
+        io.to(personalRoom(target.key)).emit('mentioned', { ...mention, group: target.group, unread });
+    }
+};
+
+// The refusal for a user muted in a room, or null if they may speak
+const checkMute = async (room, user) => {
+    const { mutedUntil } = await state.getRestrictions(room, user.key);
+    return mutedUntil
+        ? `You are muted in ${room} for another ${Math.ceil((mutedUntil - Date.now()) / 1000)}s`
+        : null;
+};
+
+// Post a chat message from a user's socket to a room they are in: checks
+// mutes, threads replies, runs the message filters, then broadcasts, stores
+// and reports it to Laravel. Returns { message }, or { error } if refused.
+const postRoomMessage = async (socket, user, room, content, { replyTo = null, emote = false, attachments = [] } = {}) => {
+    const muteError = await checkMute(room, user);
+    if (muteError) {
+        return { error: muteError };
+    }
+
+    // Replies must point at a live message in the same room
+    let parent = null;
+    if (replyTo) {
+        parent = findChatMessage(room, replyTo);
+        if (!parent) {
+            return { error: 'The message you are replying to no longer exists' };
+        }
+    }
+
+    // Resolved before the message is stamped, so messages keep their order
+    const mentioned = await resolveMentions(user, room, content);
+
+    const message = {
+        id: createMessageId('msg'),
+        username: user.username,
+        content,
+        room,
+        timestamp: new Date().toISOString(),
+        socketId: socket.id,
+        sessionId: user.sessionId,
+        userId: user.userId,
+        type: 'message'
+    };
+
+    // "/me waves" is shown as "* alice waves"
+    if (emote) {
+        message.emote = true;
+    }
+
+    if (attachments.length) {
+        message.attachments = attachments.map(describeAttachment);
+    }
+
+    if (mentioned) {
+        message.mentions = mentioned.mentions;
+    }
+
+    if (parent) {
+        // Threads are one level deep: replies to a reply join the root's thread
+        message.replyTo = parent.id;
+        message.threadId = parent.threadId || parent.id;
+        message.quote = {
+            id: parent.id,
+            username: parent.username,
+            content: parent.content
+                ? parent.content.substring(0, QUOTE_PREVIEW_LENGTH)
+                : (parent.attachments || []).map(attachment => `📎 ${attachment.filename}`).join(', ')
+        };
+    }
+
+    const { message: filtered, error } = filterMessage(message, { kind: 'room', room, senderKey: user.key });
+    if (error) {
+        return { error };
+    }
+
+    // Each file belongs to one message, which may delete it (see delete_message)
+    for (const attachment of attachments) {
+        if (!(await attachmentStore.claim(attachment.id, message.id))) {
+            return { error: `${attachment.filename} was already sent` };
+        }
+        await state.releaseUpload(user.key, attachment.id);
+    }
+
+    // Send message to all users in the room
+    io.to(room).emit('receive_message', filtered);
+
+    // Add to message history
+    addToMessageHistory(room, filtered);
+    saveMessageToLaravel('message.created', filtered);
+
+    if (filtered.threadId) {
+        updateThreadSummary(room, filtered);
+    }
+
+    if (mentioned) {
+        notifyMentions(user, filtered, mentioned.targets)
+            .catch(error => console.error('❌ Failed to notify mentioned users:', error));
+    }
+
+    console.log(`Message from ${user.username} in ${room}: ${content.substring(0, 50)}${content.length > 50 ? '...' : ''}`);
+    return { message: filtered };
+};
+
+// Send a direct message to { targetUsername } or { targetUserId }, online or
+// not. Returns { message, delivered }, or { error } if refused.
+const sendPrivateMessage = async (sender, target, content) => {
+    const sanitizedContent = sanitizeInput(content);
+    if (!sanitizedContent) {
+        return { error: 'Private message cannot be empty' };
+    }
+
+    // Find target user (on any server process, or offline)
+    const recipient = await resolveRecipient(target);
+    if (!recipient) {
+        return { error: 'User not found' };
+    }
+
+    const senderKey = sender.key;
+    const conversationId = getConversationId(senderKey, recipient.key);
+    const timestamp = new Date().toISOString();
+
+    // Conversations with guests are only delivered live, never kept: the
+    // next guest to take either name would inherit them
+    const withGuest = isGuestKey(senderKey) || isGuestKey(recipient.key);
+    if (withGuest && !recipient.online) {
+        return { error: `${recipient.username} is offline, and messages with guests can't be kept for later` };
+    }
+
+    const privateMessage = {
+        id: createMessageId('pm'),
+        conversationId,
+        from: sender.username,
+        fromKey: senderKey,
+        fromUserId: sender.userId,
+        to: recipient.username,
+        toKey: recipient.key,
+        toUserId: recipient.userId,
+        content: sanitizedContent,
+        timestamp,
+        deliveredAt: recipient.online ? timestamp : null,
+        isPrivate: true,
+        type: 'private'
+    };
+
+    const { message, error } = filterMessage(privateMessage, { kind: 'private', room: null, senderKey });
+    if (error) {
+        return { error };
+    }
+
+    if (!withGuest) {
+        conversationStore.append(conversationId, message);
+    }
+
+    // Send to all of the target user's devices now, or on their next join
+    if (recipient.online) {
+        io.to(personalRoom(recipient.key)).emit('receive_private_message', message);
+    }
+
+    // Send confirmation to all of the sender's devices
+    io.to(personalRoom(senderKey)).emit('private_message_sent', message);
+
+    saveMessageToLaravel('private_message.created', message);
+
+    console.log(`Private message from ${sender.username} to ${recipient.username}${recipient.online ? '' : ' (queued)'}`);
+    return { message, delivered: recipient.online };
+};
+
+// Slash commands typed into send_message (see lib/commands.js). `run` gets
+// { socket, user, room, args, reply } and may return { error }; whatever it
+// passes to reply() is sent to the caller alone.
+const commands = createCommandRegistry();
+
+commands.register('help', {
+    description: 'List the commands, or show how to use one',
+    args: [{ name: 'command', optional: true }],
+    run({ args, reply }) {
+        if (args.command) {
+            const command = commands.get(args.command);
+            if (!command) {
+                return { error: `Unknown command ${args.command}` };
+            }
+            reply(`${commands.usage(command)} - ${command.description}`);
+            return null;
+        }
+
+        reply(['Commands:', ...commands.list().map(command => `${commands.usage(command)} - ${command.description}`)].join('\n'));
+        return null;
+    }
+});
+
+commands.register('pm', {
+    description: 'Send a private message',
+    args: [{ name: 'username' }, { name: 'message', rest: true }],
+    aliases: ['msg'],
+    async run({ user, args }) {
+        const { error } = await sendPrivateMessage(user, { targetUsername: args.username }, args.message);
+        return error ? { error } : null;
+    }
+});
+
+commands.register('me', {
+    description: 'Describe what you are doing, e.g. /me waves',
+    args: [{ name: 'action', rest: true }],
+    async run({ socket, user, room, args }) {
+        if (!isInRoom(socket, room)) {
+            return { error: 'You are not in that room' };
+        }
+
+        const { error } = await postRoomMessage(socket, user, room, args.action.substring(0, MAX_MESSAGE_LENGTH), { emote: true });
+        return error ? { error } : null;
+    }
+});
+
+commands.register('topic', {
+    description: 'Show the room topic, or set it (moderators)',
+    args: [{ name: 'topic', rest: true, optional: true }],
+    permission: (args) => (args.topic ? 'moderator' : 'member'),
+    async run({ socket, user, room, args, reply }) {
+        if (!isInRoom(socket, room)) {
+            return { error: 'You are not in that room' };
+        }
+
+        if (!args.topic) {
+            const { topic, topicSetBy } = await state.getRoomInfo(room);
+            reply(topic ? `Topic for ${room}: ${topic} (set by ${topicSetBy})` : `${room} has no topic`);
+            return null;
+        }
+
+        const info = await state.updateRoomInfo(room, {
+            topic: args.topic.substring(0, MAX_TOPIC_LENGTH),
+            topicSetBy: user.username,
+            topicSetAt: new Date().toISOString()
+        });
+        postSystemMessage(room, 'room_topic', `${user.username} set the topic: ${info.topic}`, {
+            topic: info.topic,
+            topicSetBy: info.topicSetBy
+        });
+        return null;
+    }
+});
+
+commands.register('who', {
+    description: 'List the users in this room or another one',
+    args: [{ name: 'room', optional: true }],
+    async run({ socket, user, room, args, reply }) {
+        const target = args.room || room;
+        if (!isValidRoomName(target)) {
+            return { error: 'Invalid room name' };
+        }
+        if (!(await canViewRoom(socket, user, target))) {
+            return { error: `${target} is not open to you` };
+        }
+
+        const members = await getRoomMembers(target);
+        const names = members.map(member => (member.role === 'member' ? member.username : `${member.username} (${member.role})`));
+        reply(members.length ? `${members.length} in ${target}: ${names.join(', ')}` : `Nobody is in ${target}`);
+        return null;
+    }
+});
+
+commands.register('rooms', {
+    description: 'List the active rooms',
+    async run({ user, reply }) {
+        const rooms = await listVisibleRooms(user);
+        reply(rooms.length ? `Rooms: ${rooms.map(room => `${room.name} (${room.userCount})`).join(', ')}` : 'No active rooms');
+        return null;
+    }
+});
+
+commands.register('status', {
+    description: 'Show or set your status: online, away, dnd or invisible, with optional text',
+    args: [{ name: 'status', optional: true }, { name: 'text', rest: true, optional: true }],
+    async run({ user, args, reply }) {
+        if (!args.status) {
+            const { status, statusText, idle } = await state.getPresence(user.key);
+            reply(`Your status is ${status}${idle ? ' (idle)' : ''}${statusText ? `: ${statusText}` : ''}`);
+            return null;
+        }
+
+        const { presence, error } = await setUserStatus(user, {
+            status: args.status.toLowerCase(),
+            statusText: args.text || null
+        });
+        if (error) {
+            return { error };
+        }
+
+        reply(`Your status is now ${presence.status}${presence.statusText ? `: ${presence.statusText}` : ''}`);
+        return null;
+    }
+});
+
+commands.register('nick', {
+    description: 'Change your name (guests only)',
+    args: [{ name: 'username' }],
+    async run({ socket, user, args }) {
+        // Signed-in names come from the Laravel account
+        if (user.userId !== null && user.userId !== undefined) {
+            return { error: 'Your name comes from your account and cannot be changed here' };
+        }
+        if (!isValidUsername(args.username)) {
+            return { error: 'Invalid username. Use only letters, numbers, hyphens, and underscores (max 20 chars)' };
+        }
+
+        // A guest's key follows their name
+        const previous = { username: user.username, key: user.key };
+        const key = getUserKey({ username: args.username, userId: null });
+        if (!(await state.renameUser(socket.id, args.username, key))) {
+            return { error: 'Username already taken. Please choose another one.' };
+        }
+
+        Object.assign(user, { username: args.username, key });
+        socket.leave(personalRoom(previous.key));
+        socket.join(personalRoom(key));
+        await state.rememberUser({ key, username: user.username, userId: null });
+
+        socket.emit('nick_changed', { username: user.username, previous: previous.username });
+        for (const room of user.rooms) {
+            postSystemMessage(room, 'user_renamed', `${previous.username} is now known as ${user.username}`, {
+                previous: previous.username,
+                username: user.username
+            });
+            await broadcastRoomUsers(room);
+        }
+
+        console.log(`${previous.username} is now known as ${user.username}`);
+        return null;
+    }
+});
+
+// Throttle connection attempts per address and refuse banned users and
+// addresses. Authenticated backend clients are trusted and never limited.
+io.use((socket, next) => {
+    if (socket.data.laravelClient) return next();
+
+    const auth = socket.data.auth;
+    const limited = rateLimiter.consume('connection', {
+        userKey: auth?.userId !== null && auth?.userId !== undefined ? getUserKey(auth) : null,
+        address: getClientAddress(socket)
+    });
+    if (!limited) return next();
+
+    console.log(`🚦 Connection from ${getClientAddress(socket)} refused: ${limited.banned ? 'banned' : 'rate limited'}`);
+
+    const error = new Error(limited.banned ? 'Temporarily banned' : 'Too many connection attempts');
+    error.data = { reason: 'rate_limited', ...describeRateLimit(limited) };
+    next(error);
+});
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+    console.log(`User connected: ${socket.id} at ${new Date().toISOString()}`);
+
+    state.connectSocket(socket.id)
+        .catch(error => console.error('❌ Failed to register connection:', error));
+
+    // Track Laravel client connections
+    let isLaravelClient = false;
+    let laravelAuthPending = false;
+    let dataBuffer = '';
+
+    // Process complete JSON messages (separated by newlines)
+    const processLaravelData = (data) => {
+        dataBuffer += data;
+
+        const messages = dataBuffer.split('\n');
+        dataBuffer = messages.pop() || ''; // Keep incomplete message
+
+        messages.forEach(msg => {
+            if (msg.trim()) {
+                processLaravelMessage(socket, msg);
+            }
+        });
+    };
+
+    const markLaravelClient = (via) => {
+        isLaravelClient = true;
+        socket.isLaravelClient = true;
+        state.addLaravelClient(socket.id)
+            .catch(error => console.error('❌ Failed to register Laravel client:', error));
+        console.log(`🔗 Laravel socket client connected via ${via}`);
+
+        // Send acknowledgment
+        socket.emit('laravel_connected', {
+            message: 'Laravel client connected successfully',
+            server_time: new Date().toISOString()
+        });
+    };
+
+    // Reject laravel_* events from sockets that did not authenticate as backend
+    const rejectUnauthorizedLaravelEvent = (event) => {
+        logAuthFailure(socket, 'Laravel event', `unauthenticated ${event}`);
+        socket.emit('error', { message: `Unauthorized: ${event} requires an authenticated Laravel client` });
+    };
+
+    if (socket.data.laravelClient) {
+        markLaravelClient('authenticated handshake');
+    }
+
+    // Drop events over the limit before any handler sees them. The client
+    // gets rate_limited (and a failed ack); a ban disconnects the socket.
+    const clientAddress = getClientAddress(socket);
+
+    socket.use((packet, next) => {
+        if (isLaravelClient) return next();
+
+        const [event] = packet;
+        const limited = rateLimiter.consume(event, {
+            socketId: socket.id,
+            userKey: users.get(socket.id)?.key,
+            address: clientAddress
+        });
+        if (!limited) return next();
+
+        const details = describeRateLimit(limited);
+        const ack = packet[packet.length - 1];
+
+        socket.emit('rate_limited', details);
+        if (typeof ack === 'function') {
+            ack({ ok: false, error: details.message, rateLimited: details });
+        }
+
+        if (limited.banned) {
+            const user = users.get(socket.id);
+            console.log(`🚫 Banned ${user ? user.username : socket.id} (${clientAddress}) for ${details.retryAfter}s after repeated ${event} flooding`);
+            socket.disconnect(true);
+        }
+    });
+
+    // Keep track of when the user was last active, for idle detection
+    socket.use(([event], next) => {
+        const user = users.get(socket.id);
+        if (user && ACTIVITY_EVENTS.has(event)) {
+            noteActivity(socket, user).catch(error => console.error('❌ Failed to record activity:', error));
+        }
+        next();
+    });
+
+    // Handle raw data for Laravel socket clients
+    socket.conn.on('data', (data) => {
+        try {
+            const message = data.toString().trim();
+
+            // Check for Laravel client identification:
+            // "LARAVEL_CLIENT <token>" or "LARAVEL_CLIENT <timestamp> <nonce> <signature>"
+            if (message === 'LARAVEL_CLIENT' || message.startsWith('LARAVEL_CLIENT ')) {
+                const [, first, second, third] = message.split(/\s+/);
+                const credentials = third
+                    ? { timestamp: first, nonce: second, signature: third }
+                    : { token: first };
+
+                laravelAuthPending = true;
+                authenticateBackendClient(credentials)
+                    .then(() => {
+                        markLaravelClient('raw socket');
+                        processLaravelData('');
+                    })
+                    .catch(error => {
+                        logAuthFailure(socket, 'Laravel client', error.message);
+                        socket.emit('laravel_auth_failed', { message: 'Laravel client authentication failed' });
+                        socket.disconnect(true);
+                    })
+                    .finally(() => {
+                        laravelAuthPending = false;
+                    });
+                return;
+            }
+
+            // Data sent while the credentials are checked waits for them
+            if (laravelAuthPending) {
+                dataBuffer += message;
+                return;
+            }
+
+            // If it's a Laravel client, process the JSON data
+            if (isLaravelClient || socket.isLaravelClient) {
+                processLaravelData(message);
+                return;
+            }
+
+        } catch (error) {
+            console.error('❌ Error processing raw socket data:', error);
+        }
+    });
+
+    // Take over a session held for a reconnect: same name and rooms, no
+    // join/leave announcements. False if the token is unknown or expired.
+    const resumeSession = async (resumeToken) => {
+        const resumed = await state.resumeSession(String(resumeToken), socket.id);
+        if (!resumed) return false;
+
+        const { user, previousSocketId } = resumed;
+        users.delete(previousSocketId);
+        users.set(socket.id, user);
+
+        // The old connection may not have noticed that it dropped yet
+        io.in(previousSocketId).disconnectSockets(true);
+
+        socket.join(personalRoom(user.key));
+        user.rooms.forEach(room => socket.join(room));
+
+        socket.emit('message_history', getMessageHistory(user.room));
+        socket.emit('joined', {
+            room: user.room,
+            username: user.username,
+            userId: user.userId,
+            message: `Welcome back to ${user.room}!`,
+            userCount: (await state.getRoomUsers(user.room)).length,
+            unreadCounts: await getUnreadCounts(user, user.rooms),
+            resumeToken,
+            resumed: true
+        });
+
+        // Other members see the device count and presence change back
+        for (const room of user.rooms) {
+            await broadcastRoomUsers(room);
+        }
+
+        deliverPendingMessages(socket, user);
+
+        console.log(`🔄 ${user.username} resumed their session in ${user.rooms.join(', ')}`);
+        return true;
+    };
+
+    // Regular Socket.IO event handlers for browser clients
+    socket.on('join', async (userData) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { room = 'general' } = userData;
+            const auth = socket.data.auth;
+
+            if (!auth && !ALLOW_GUEST_USERS) {
+                socket.emit('error', { message: 'Authentication required' });
+                return;
+            }
+
+            // A reconnecting client takes over its previous session silently
+            if (userData.resumeToken && await resumeSession(userData.resumeToken)) {
+                return;
+            }
+
+            // Identity comes from the verified token; guests never get a Laravel user ID
+            const username = auth ? auth.username : userData.username;
+            const userId = auth ? auth.userId : null;
+
+            // Validate input
+            if (!isValidUsername(username)) {
+                socket.emit('error', {
+                    message: 'Invalid username. Use only letters, numbers, hyphens, and underscores (max 20 chars)'
+                });
+                return;
+            }
+
+            if (!isValidRoomName(room)) {
+                socket.emit('error', {
+                    message: 'Invalid room name. Use only letters, numbers, hyphens, and underscores (max 30 chars)'
+                });
+                return;
+            }
+
+            // Store user data with Laravel user ID if provided
+            const user = {
+                key: getUserKey({ username, userId }),
+                username,
+                room,
+                rooms: [],
+                socketId: socket.id,
+                userId: userId, // Laravel user ID for integration
+                sessionId: crypto.randomBytes(16).toString('hex'), // kept when the session is resumed
+                joinedAt: new Date().toISOString()
+            };
+
+            const admissionError = await admitToRoom(socket, user, room, getRoomOptions(userData));
+            if (admissionError) {
+                socket.emit('error', { message: admissionError });
+                return;
+            }
+
+            // A signed-in user's name is theirs: a guest using it has to go
+            if (auth) {
+                const evicted = await state.evictGuestName(username);
+                if (evicted) {
+                    await dismissGuest(username, evicted);
+                }
+            }
+
+            // Claim the username across all server processes; signed-in users
+            // may already be connected from other devices
+            if (!(await state.registerUser(user))) {
+                socket.emit('error', {
+                    message: 'Username already taken. Please choose another one.'
+                });
+                return;
+            }
+
+            users.set(socket.id, user);
+            socket.join(personalRoom(user.key));
+            await state.rememberUser({ key: user.key, username, userId, grants: getTokenGrants(auth?.claims) });
+
+            // Joining counts as activity; a status set on another device stays
+            socket.data.lastActivityAt = Date.now();
+            const { presence, wasIdle } = await state.recordActivity(user.key, socket.data.lastActivityAt);
+            if (wasIdle) {
+                await broadcastPresence(user, presence);
+            }
+
+            // Lets this client reclaim the session after a dropped connection
+            const resumeToken = crypto.randomBytes(24).toString('base64url');
+            await state.createSession(resumeToken, socket.id);
+
+            // Join the room and notify others in it
+            const { userCount, history } = await enterRoom(socket, user, room);
+
+            // Send message history to new user
+            socket.emit('message_history', history);
+
+            // Notify user they joined
             socket.emit('joined', {
                 room,
-                message: `Welcome to ${room}!`,
-                userCount: rooms.get(room).size
+                username,
+                userId,
+                message: `Welcome to ${room}!`,
+                userCount,
+                unreadCounts: await getUnreadCounts(user, [room]),
+                topic: (await state.getRoomInfo(room)).topic,
+                presence: describeOwnPresence(presence),
+                resumeToken
+            });
+
+            // Direct messages sent while the user was offline
+            deliverPendingMessages(socket, user);
+
+            console.log(`${username} joined room: ${room}`);
+
+        } catch (error) {
+            console.error('Error in join handler:', error);
+            socket.emit('error', { message: 'Failed to join room' });
+        }
+    });
+
+    // Report a failed request as an `error` event and, when the client passed
+    // an acknowledgement callback, through that callback too
+    const rejectRequest = (ack, message) => {
+        socket.emit('error', { message });
+        if (typeof ack === 'function') {
+            ack({ ok: false, error: message });
+        }
+    };
+
+    // Run a parsed slash command for this socket's user in a room, after
+    // checking they hold the role it needs
+    const runCommand = async (parsed, room, ack) => {
+        if (parsed.error) {
+            rejectRequest(ack, parsed.error);
+            return;
+        }
+
+        const { command, args } = parsed;
+        const user = users.get(socket.id);
+        const required = commands.permissionFor(command, args);
+        if (ROLE_RANK[await getRoomRole(socket, user, room)] < ROLE_RANK[required]) {
+            rejectRequest(ack, `Only room ${required}s can use /${command.name} like that`);
+            return;
+        }
+
+        const output = [];
+        const result = await command.run({ socket, user, room, args, reply: content => output.push(content) });
+        if (result && result.error) {
+            rejectRequest(ack, result.error);
+            return;
+        }
+
+        if (output.length) {
+            socket.emit('command_response', { command: command.name, room, content: output.join('\n') });
+        }
+        if (typeof ack === 'function') {
+            ack({ ok: true, command: command.name });
+        }
+
+        console.log(`⌨️ ${user.username} ran /${command.name} in ${room}`);
+    };
+
+    socket.on('send_message', async (messageData, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                rejectRequest(ack, 'User not authenticated');
+                return;
+            }
+
+            const content = sanitizeInput(messageData && messageData.content);
+            const attachmentIds = messageData && messageData.attachments;
+            if (!content && !(Array.isArray(attachmentIds) && attachmentIds.length)) {
+                rejectRequest(ack, 'Message cannot be empty');
+                return;
+            }
+
+            // Messages go to the user's current room unless another joined room is named
+            const room = messageData.room || user.room;
+
+            const parsed = commands.parse(content);
+            if (parsed) {
+                await runCommand(parsed, room, ack);
+                return;
+            }
+
+            if (!isInRoom(socket, room)) {
+                rejectRequest(ack, 'You are not in that room');
+                return;
+            }
+
+            const { attachments, error: attachmentError } = await resolveAttachments(user, room, attachmentIds);
+            if (attachmentError) {
+                rejectRequest(ack, attachmentError);
+                return;
+            }
+
+            // "//" sends a message that starts with a slash
+            const { message, error } = await postRoomMessage(socket, user, room, content.startsWith('//') ? content.slice(1) : content, {
+                replyTo: messageData.replyTo,
+                attachments
+            });
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            if (typeof ack === 'function') {
+                ack({ ok: true, id: message.id, timestamp: message.timestamp });
+            }
+
+        } catch (error) {
+            console.error('Error in send_message handler:', error);
+            rejectRequest(ack, 'Failed to send message');
+        }
+    });
+
+    // Look up a chat message the user may edit or delete, or explain why not
+    const findModifiableMessage = async (user, data) => {
+        const room = (data && data.room) || user.room;
+        if (!isInRoom(socket, room)) {
+            return { error: 'You are not in that room' };
+        }
+
+        const message = findChatMessage(room, data && data.id);
+        if (!message) {
+            return { error: 'Message not found' };
+        }
+        if (!isMessageAuthor(user, message) && !(await isRoomModerator(socket, user, room))) {
+            return { error: 'You can only change your own messages' };
+        }
+
+        return { room, message };
+    };
+
+    socket.on('edit_message', async (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const content = sanitizeInput(data && data.content);
+            if (!content) {
+                socket.emit('error', { message: 'Message cannot be empty' });
+                return;
+            }
+
+            const { room, message, error } = await findModifiableMessage(user, data);
+            if (error) {
+                socket.emit('error', { message: error });
+                return;
+            }
+
+            const muteError = await checkMute(room, user);
+            if (muteError) {
+                socket.emit('error', { message: muteError });
+                return;
+            }
+
+            const filtered = filterMessage({ ...message, content }, { kind: 'edit', room, senderKey: user.key });
+            if (filtered.error) {
+                socket.emit('error', { message: filtered.error });
+                return;
+            }
+
+            // Only people the edit newly mentions are notified
+            const mentioned = await resolveMentions(user, room, filtered.message.content);
+            const previous = message.mentions || { users: [], group: null };
+            const previousUsers = previous.users.map(username => username.toLowerCase());
+            const newTargets = mentioned ? mentioned.targets.filter(target => target.group
+                ? !previous.group
+                : !previousUsers.includes(target.username.toLowerCase())) : [];
+
+            const edited = updateStoredMessage(room, message.id, {
+                content: filtered.message.content,
+                ...((mentioned || message.mentions) && { mentions: mentioned ? mentioned.mentions : null }),
+                ...(filtered.message.flagged ? { flagged: true } : {}),
+                edited: true,
+                editedAt: new Date().toISOString(),
+                editedBy: user.username
+            });
+            if (!edited) {
+                socket.emit('error', { message: 'Failed to edit message' });
+                return;
+            }
+
+            io.to(room).emit('message_edited', edited);
+            saveMessageToLaravel('message.updated', edited);
+
+            if (newTargets.length) {
+                notifyMentions(user, edited, newTargets)
+                    .catch(error => console.error('❌ Failed to notify mentioned users:', error));
+            }
+
+            console.log(`${user.username} edited message ${message.id} in ${room}`);
+
+        } catch (error) {
+            console.error('Error in edit_message handler:', error);
+            socket.emit('error', { message: 'Failed to edit message' });
+        }
+    });
+
+    socket.on('delete_message', async (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const { room, message, error } = await findModifiableMessage(user, data);
+            if (error) {
+                socket.emit('error', { message: error });
+                return;
+            }
+
+            // Keep a tombstone so history and pagination cursors stay intact
+            const deleted = updateStoredMessage(room, message.id, {
+                content: '',
+                ...(message.attachments && { attachments: [] }),
+                deleted: true,
+                deletedAt: new Date().toISOString(),
+                deletedBy: user.username
+            });
+            if (!deleted) {
+                socket.emit('error', { message: 'Failed to delete message' });
+                return;
+            }
+
+            io.to(room).emit('message_deleted', {
+                id: deleted.id,
+                room,
+                deletedAt: deleted.deletedAt,
+                deletedBy: deleted.deletedBy
+            });
+            saveMessageToLaravel('message.deleted', deleted);
+
+            // Deleted files go too, and the message leaves mentions inboxes
+            for (const attachment of message.attachments || []) {
+                removeMessageAttachment(message, attachment.id)
+                    .catch(error => console.error(`❌ Failed to remove attachment ${attachment.id}:`, error));
+            }
+            if (message.mentions) {
+                state.removeMentions(message.id)
+                    .catch(error => console.error(`❌ Failed to remove mentions of ${message.id}:`, error));
+            }
+
+            console.log(`${user.username} deleted message ${message.id} in ${room}`);
+
+        } catch (error) {
+            console.error('Error in delete_message handler:', error);
+            socket.emit('error', { message: 'Failed to delete message' });
+        }
+    });
+
+    const handleReaction = (data, add) => {
+        const user = users.get(socket.id);
+        if (!user) {
+            socket.emit('error', { message: 'User not authenticated' });
+            return;
+        }
+
+        const reaction = data && data.reaction;
+        if (!isValidReaction(reaction)) {
+            socket.emit('error', { message: `Invalid reaction (max ${MAX_REACTION_LENGTH} characters)` });
+            return;
+        }
+
+        const room = (data && data.room) || user.room;
+        if (!isInRoom(socket, room)) {
+            socket.emit('error', { message: 'You are not in that room' });
+            return;
+        }
+
+        const message = findChatMessage(room, data.id);
+        if (!message) {
+            socket.emit('error', { message: 'Message not found' });
+            return;
+        }
+
+        const current = message.reactions || {};
+        if (add && !current[reaction] && Object.keys(current).length >= MAX_REACTIONS_PER_MESSAGE) {
+            socket.emit('error', { message: 'This message has too many different reactions' });
+            return;
+        }
+
+        const reactions = applyReaction(current, reaction, user.username, add);
+        const updated = updateStoredMessage(room, message.id, { reactions });
+        if (!updated) {
+            socket.emit('error', { message: 'Failed to update reactions' });
+            return;
+        }
+
+        io.to(room).emit('reactions_updated', { id: message.id, room, reactions });
+        saveMessageToLaravel('message.reactions_updated', {
+            id: message.id,
+            room,
+            reaction,
+            action: add ? 'added' : 'removed',
+            username: user.username,
+            userId: user.userId,
+            reactions
+        });
+    };
+
+    socket.on('add_reaction', (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            handleReaction(data, true);
+        } catch (error) {
+            console.error('Error in add_reaction handler:', error);
+            socket.emit('error', { message: 'Failed to add reaction' });
+        }
+    });
+
+    socket.on('remove_reaction', (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            handleReaction(data, false);
+        } catch (error) {
+            console.error('Error in remove_reaction handler:', error);
+            socket.emit('error', { message: 'Failed to remove reaction' });
+        }
+    });
+
+    socket.on('send_private_message', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const sender = users.get(socket.id);
+            if (!sender) {
+                rejectRequest(ack, 'User not authenticated');
+                return;
+            }
+
+            const { message, delivered, error } = await sendPrivateMessage(sender, data || {}, data && data.content);
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            if (typeof ack === 'function') {
+                ack({ ok: true, id: message.id, timestamp: message.timestamp, delivered });
+            }
+
+        } catch (error) {
+            console.error('Error in send_private_message handler:', error);
+            rejectRequest(ack, 'Failed to send private message');
+        }
+    });
+
+    socket.on('get_conversations', () => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const userKey = user.key;
+            const conversations = listConversations(userKey)
+                .map(conversationId => {
+                    const [lastMessage] = conversationStore.getRecent(conversationId, 1);
+                    if (!lastMessage) return null;
+
+                    const sentByUser = lastMessage.fromKey === userKey;
+                    return {
+                        id: conversationId,
+                        with: {
+                            username: sentByUser ? lastMessage.to : lastMessage.from,
+                            userId: sentByUser ? lastMessage.toUserId : lastMessage.fromUserId
+                        },
+                        lastMessage
+                    };
+                })
+                .filter(conversation => conversation)
+                .sort((a, b) => b.lastMessage.timestamp.localeCompare(a.lastMessage.timestamp));
+
+            socket.emit('conversations', conversations);
+        } catch (error) {
+            console.error('Error in get_conversations handler:', error);
+            socket.emit('error', { message: 'Failed to load conversations' });
+        }
+    });
+
+    socket.on('load_conversation', (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const { conversationId, before = null, limit } = data || {};
+            if (typeof conversationId !== 'string' || isGuestKey(user.key) ||
+                !getConversationParticipants(conversationId).includes(user.key)) {
+                socket.emit('error', { message: 'Conversation not found' });
+                return;
+            }
+
+            const { room, ...page } = getHistoryPage(conversationId, before, limit, conversationStore);
+            socket.emit('conversation_history', { conversationId: room, ...page });
+        } catch (error) {
+            console.error('Error in load_conversation handler:', error);
+            socket.emit('error', { message: 'Failed to load conversation' });
+        }
+    });
+
+    socket.on('typing', (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            const room = (data && data.room) || (user && user.room);
+            if (user && isInRoom(socket, room)) {
+                socket.to(room).except(personalRoom(user.key)).emit('user_typing', {
+                    username: user.username,
+                    room,
+                    isTyping: true
+                });
+            }
+        } catch (error) {
+            console.error('Error in typing handler:', error);
+        }
+    });
+
+    socket.on('stop_typing', (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            const room = (data && data.room) || (user && user.room);
+            if (user && isInRoom(socket, room)) {
+                socket.to(room).except(personalRoom(user.key)).emit('user_typing', {
+                    username: user.username,
+                    room,
+                    isTyping: false
+                });
+            }
+        } catch (error) {
+            console.error('Error in stop_typing handler:', error);
+        }
+    });
+
+    // Takes a room name, or { room, password, inviteCode } for a restricted
+    // room (or { room, visibility, description, password } to create one)
+    socket.on('change_room', async (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const options = data && typeof data === 'object' ? data : { room: data };
+            const newRoom = options.room;
+            if (!isValidRoomName(newRoom)) {
+                socket.emit('error', {
+                    message: 'Invalid room name. Use only letters, numbers, hyphens, and underscores (max 30 chars)'
+                });
+                return;
+            }
+
+            const admissionError = await admitToRoom(socket, user, newRoom, getRoomOptions(options));
+            if (admissionError) {
+                socket.emit('error', { message: admissionError });
+                return;
+            }
+
+            const oldRoom = user.room;
+
+            // Leave the current room (other joined rooms are kept)
+            if (oldRoom && oldRoom !== newRoom) {
+                await exitRoom(socket, user, oldRoom);
+            }
+
+            // Join new room and make it the current one
+            user.room = newRoom;
+            const { userCount, history } = await enterRoom(socket, user, newRoom);
+
+            // Send message history to user
+            socket.emit('message_history', history);
+
+            // Confirm to user
+            socket.emit('room_changed', {
+                room: newRoom,
+                userCount,
+                topic: (await state.getRoomInfo(newRoom)).topic
+            });
+
+            console.log(`${user.username} moved from ${oldRoom} to ${newRoom}`);
+
+        } catch (error) {
+            console.error('Error in change_room handler:', error);
+            socket.emit('error', { message: 'Failed to change room' });
+        }
+    });
+
+    socket.on('join_room', async (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const room = data && data.room;
+            if (!isValidRoomName(room)) {
+                socket.emit('error', {
+                    message: 'Invalid room name. Use only letters, numbers, hyphens, and underscores (max 30 chars)'
+                });
+                return;
+            }
+
+            if (!user.rooms.includes(room) && user.rooms.length >= MAX_ROOMS_PER_USER) {
+                socket.emit('error', { message: `You can be in at most ${MAX_ROOMS_PER_USER} rooms` });
+                return;
+            }
+
+            const admissionError = await admitToRoom(socket, user, room, getRoomOptions(data));
+            if (admissionError) {
+                socket.emit('error', { message: admissionError });
+                return;
+            }
+
+            if (!user.room) {
+                user.room = room;
+            }
+
+            const { userCount, history } = await enterRoom(socket, user, room);
+
+            socket.emit('room_joined', {
+                room,
+                rooms: user.rooms,
+                userCount,
+                history,
+                unreadCount: (await getUnreadCounts(user, [room]))[room] || 0,
+                topic: (await state.getRoomInfo(room)).topic
+            });
+
+            console.log(`${user.username} also joined room: ${room}`);
+
+        } catch (error) {
+            console.error('Error in join_room handler:', error);
+            socket.emit('error', { message: 'Failed to join room' });
+        }
+    });
+
+    socket.on('leave_room', async (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
+
+            const room = data && data.room;
+            if (!user.rooms.includes(room)) {
+                socket.emit('error', { message: 'You are not in that room' });
+                return;
+            }
+
+            await exitRoom(socket, user, room);
+
+            socket.emit('room_left', {
+                room,
+                rooms: user.rooms,
+                currentRoom: user.room
             });
 
-            // Notify others in room
-            const joinMessage = {
-                id: `system_${Date.now()}`,
-                type: 'system',
-                content: `${username} joined the room`,
-                room,
-                timestamp: new Date().toISOString()
-            };
+            console.log(`${user.username} left room: ${room}`);
+
+        } catch (error) {
+            console.error('Error in leave_room handler:', error);
+            socket.emit('error', { message: 'Failed to leave room' });
+        }
+    });
+
+    // Check that this socket's user holds at least `minimumRole` in
+    // data.room (default: their current room). Returns { user, room, role }
+    // or { error }.
+    const authorizeRoomAction = async (data, minimumRole) => {
+        const user = users.get(socket.id);
+        if (!user) {
+            return { error: 'User not authenticated' };
+        }
+
+        const room = (data && data.room) || user.room;
+        if (!isValidRoomName(room)) {
+            return { error: 'Invalid room name' };
+        }
+
+        const role = await getRoomRole(socket, user, room);
+        if (ROLE_RANK[role] < ROLE_RANK[minimumRole]) {
+            return { error: `Only room ${minimumRole}s can do that` };
+        }
+
+        return { user, room, role };
+    };
+
+    // Check that the caller may take a moderation action in a room against
+    // the target ({ targetUsername } or { targetUserId }): they need at least
+    // `minimumRole` and must outrank the target.
+    // Returns { user, room, target } or { error }.
+    const authorizeModeration = async (data, minimumRole) => {
+        const { user, room, role, error } = await authorizeRoomAction(data, minimumRole);
+        if (error) {
+            return { error };
+        }
+
+        const target = await resolveRecipient({ targetUserId: data.targetUserId, targetUsername: data.targetUsername });
+        if (!target) {
+            return { error: 'User not found' };
+        }
+        if (target.key === user.key) {
+            return { error: 'You cannot moderate yourself' };
+        }
+
+        // The target's token grants count too; they were recorded when they joined
+        const known = await state.findKnownUser({ key: target.key });
+        const targetRole = await resolveRoomRole(target.key, known?.grants || getTokenGrants(null), room);
+        if (ROLE_RANK[targetRole] >= ROLE_RANK[role]) {
+            return { error: `You cannot moderate the room's ${targetRole}` };
+        }
 
-            socket.to(room).emit('user_joined', joinMessage);
-            addToMessageHistory(room, joinMessage);
+        return { user, room, target };
+    };
+
+    const getModerationReason = (data) => {
+        return typeof data.reason === 'string'
+            ? data.reason.trim().substring(0, MAX_MODERATION_REASON_LENGTH) || null
+            : null;
+    };
 
-            // Send updated user list to room
-            const roomUsers = Array.from(rooms.get(room) || [])
-                .map(id => users.get(id))
-                .filter(user => user);
-            io.to(room).emit('users_update', roomUsers);
+    const describeReason = (reason) => (reason ? `: ${reason}` : '');
 
-            console.log(`${username} joined room: ${room}`);
+    socket.on('kick_user', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            if (!(await evictFromRoom(room, target.key))) {
+                rejectRequest(ack, `${target.username} is not in ${room}`);
+                return;
+            }
+
+            const reason = getModerationReason(data);
+            announceModeration(room, 'kicked', user, target,
+                `${target.username} was kicked by ${user.username}${describeReason(reason)}`, { reason });
 
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
         } catch (error) {
-            console.error('Error in join handler:', error);
-            socket.emit('error', { message: 'Failed to join room' });
+            console.error('Error in kick_user handler:', error);
+            rejectRequest(ack, 'Failed to kick user');
         }
     });
 
-    socket.on('send_message', (messageData) => {
+    socket.on('mute_user', async (data, ack) => {
         // Skip if this is a Laravel client
         if (socket.isLaravelClient) return;
 
         try {
-            const user = users.get(socket.id);
-            if (!user) {
-                socket.emit('error', { message: 'User not authenticated' });
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
                 return;
             }
 
-            const content = sanitizeInput(messageData.content);
-            if (!content) {
-                socket.emit('error', { message: 'Message cannot be empty' });
+            // Duration in seconds
+            const duration = data.duration === undefined ? DEFAULT_MUTE_SECONDS : Number(data.duration);
+            if (!Number.isInteger(duration) || duration <= 0 || duration > MAX_MUTE_SECONDS) {
+                rejectRequest(ack, `Mute duration must be between 1 and ${MAX_MUTE_SECONDS} seconds`);
                 return;
             }
 
-            const message = {
-                id: `msg_${Date.now()}_${socket.id}`,
-                username: user.username,
-                content,
-                room: user.room,
-                timestamp: new Date().toISOString(),
-                socketId: socket.id,
-                userId: user.userId,
-                type: 'message'
-            };
+            const until = new Date(Date.now() + duration * 1000).toISOString();
+            await state.muteUser(room, target.key, Date.parse(until));
+
+            const reason = getModerationReason(data);
+            announceModeration(room, 'muted', user, target,
+                `${target.username} was muted by ${user.username} for ${formatDuration(duration)}${describeReason(reason)}`,
+                { duration, until, reason });
+
+            if (typeof ack === 'function') {
+                ack({ ok: true, until });
+            }
+        } catch (error) {
+            console.error('Error in mute_user handler:', error);
+            rejectRequest(ack, 'Failed to mute user');
+        }
+    });
+
+    socket.on('unmute_user', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
 
-            // Send message to all users in the room
-            io.to(user.room).emit('receive_message', message);
+        try {
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
 
-            // Add to message history
-            addToMessageHistory(user.room, message);
+            if (!(await state.unmuteUser(room, target.key))) {
+                rejectRequest(ack, `${target.username} is not muted in ${room}`);
+                return;
+            }
 
-            console.log(`Message from ${user.username} in ${user.room}: ${content.substring(0, 50)}${content.length > 50 ? '...' : ''}`);
+            announceModeration(room, 'unmuted', user, target, `${target.username} was unmuted by ${user.username}`);
 
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
         } catch (error) {
-            console.error('Error in send_message handler:', error);
-            socket.emit('error', { message: 'Failed to send message' });
+            console.error('Error in unmute_user handler:', error);
+            rejectRequest(ack, 'Failed to unmute user');
         }
     });
 
-    socket.on('send_private_message', (data) => {
+    socket.on('ban_user', async (data, ack) => {
         // Skip if this is a Laravel client
         if (socket.isLaravelClient) return;
 
         try {
-            const sender = users.get(socket.id);
-            if (!sender) {
-                socket.emit('error', { message: 'User not authenticated' });
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
                 return;
             }
 
-            const { targetUsername, content } = data;
-            const sanitizedContent = sanitizeInput(content);
+            const reason = getModerationReason(data);
+            await state.banUser(room, target.key, { by: user.username, reason, bannedAt: new Date().toISOString() });
+            await evictFromRoom(room, target.key);
+
+            announceModeration(room, 'banned', user, target,
+                `${target.username} was banned by ${user.username}${describeReason(reason)}`, { reason });
+
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
+        } catch (error) {
+            console.error('Error in ban_user handler:', error);
+            rejectRequest(ack, 'Failed to ban user');
+        }
+    });
+
+    socket.on('unban_user', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
 
-            if (!sanitizedContent) {
-                socket.emit('error', { message: 'Private message cannot be empty' });
+            if (!(await state.unbanUser(room, target.key))) {
+                rejectRequest(ack, `${target.username} is not banned from ${room}`);
                 return;
             }
 
-            // Find target user
-            const targetUser = Array.from(users.values())
-                .find(user => user.username.toLowerCase() === targetUsername.toLowerCase());
+            announceModeration(room, 'unbanned', user, target, `${target.username} was unbanned by ${user.username}`);
 
-            if (targetUser) {
-                const privateMessage = {
-                    id: `pm_${Date.now()}_${socket.id}`,
-                    from: sender.username,
-                    to: targetUsername,
-                    content: sanitizedContent,
-                    timestamp: new Date().toISOString(),
-                    isPrivate: true,
-                    type: 'private'
-                };
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
+        } catch (error) {
+            console.error('Error in unban_user handler:', error);
+            rejectRequest(ack, 'Failed to unban user');
+        }
+    });
 
-                // Send to target user
-                io.to(targetUser.socketId).emit('receive_private_message', privateMessage);
+    // Owners grant and revoke moderator: { room, targetUsername, role: 'moderator' | 'member' }
+    socket.on('set_room_role', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
 
-                // Send confirmation to sender
-                socket.emit('private_message_sent', privateMessage);
+        try {
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'owner');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
 
-                console.log(`Private message from ${sender.username} to ${targetUsername}`);
-            } else {
-                socket.emit('error', { message: 'User not found or offline' });
+            if (!['moderator', 'member'].includes(data.role)) {
+                rejectRequest(ack, 'Role must be moderator or member');
+                return;
+            }
+
+            if (!(await state.setRoomModerator(room, target.key, data.role === 'moderator'))) {
+                rejectRequest(ack, `${target.username} is already a ${data.role} of ${room}`);
+                return;
             }
 
+            const content = data.role === 'moderator'
+                ? `${target.username} is now a moderator (granted by ${user.username})`
+                : `${target.username} is no longer a moderator (revoked by ${user.username})`;
+            announceModeration(room, 'role_changed', user, target, content, { role: data.role });
+            await broadcastRoomUsers(room);
+
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
         } catch (error) {
-            console.error('Error in send_private_message handler:', error);
-            socket.emit('error', { message: 'Failed to send private message' });
+            console.error('Error in set_room_role handler:', error);
+            rejectRequest(ack, 'Failed to change role');
         }
     });
 
-    socket.on('typing', () => {
+    socket.on('get_room_info', async (data, ack) => {
         // Skip if this is a Laravel client
         if (socket.isLaravelClient) return;
 
         try {
             const user = users.get(socket.id);
-            if (user) {
-                socket.to(user.room).emit('user_typing', {
-                    username: user.username,
-                    isTyping: true
+            const room = (data && data.room) || (user && user.room);
+            if (!isValidRoomName(room)) {
+                rejectRequest(ack, 'Invalid room name');
+                return;
+            }
+            if (!(await canViewRoom(socket, user, room))) {
+                rejectRequest(ack, `${room} is not open to you`);
+                return;
+            }
+
+            const info = describeRoom(await state.getRoomInfo(room));
+            socket.emit('room_info', info);
+            if (typeof ack === 'function') {
+                ack({ ok: true, room: info });
+            }
+        } catch (error) {
+            console.error('Error in get_room_info handler:', error);
+            rejectRequest(ack, 'Failed to load room info');
+        }
+    });
+
+    // Moderators may change the topic and description; who may enter
+    // (visibility and password) is up to the owner
+    socket.on('update_room', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { user, room, role, error } = await authorizeRoomAction(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            const { changes, error: settingsError } = parseRoomSettings(data);
+            if (settingsError) {
+                rejectRequest(ack, settingsError);
+                return;
+            }
+            if (!Object.keys(changes).length) {
+                rejectRequest(ack, 'Nothing to update');
+                return;
+            }
+            if ('visibility' in changes || 'passwordHash' in changes) {
+                if (ROLE_RANK[role] < ROLE_RANK.owner) {
+                    rejectRequest(ack, 'Only the room owner can change who may join');
+                    return;
+                }
+
+                const membershipLock = await getMembershipLock(room);
+                if (membershipLock) {
+                    rejectRequest(ack, membershipLock);
+                    return;
+                }
+            }
+
+            if ('topic' in changes) {
+                Object.assign(changes, { topicSetBy: user.username, topicSetAt: new Date().toISOString() });
+            }
+
+            const info = await state.updateRoomInfo(room, changes);
+
+            // Whoever made a room restricted stays admitted to it
+            if (isRestrictedRoom(info)) {
+                await state.setRoomMember(room, user.key, true);
+            }
+
+            io.to(room).emit('room_updated', { ...describeRoom(info), updatedBy: user.username });
+            if ('topic' in changes) {
+                postSystemMessage(room, 'room_topic', info.topic
+                    ? `${user.username} set the topic: ${info.topic}`
+                    : `${user.username} cleared the topic`, {
+                    topic: info.topic,
+                    topicSetBy: info.topicSetBy
                 });
             }
-        } catch (error) {
-            console.error('Error in typing handler:', error);
-        }
-    });
 
-    socket.on('stop_typing', () => {
-        // Skip if this is a Laravel client
-        if (socket.isLaravelClient) return;
+            if (typeof ack === 'function') {
+                ack({ ok: true, room: describeRoom(info) });
+            }
+
+            console.log(`🏠 ${user.username} updated ${room}: ${Object.keys(changes).join(', ')}`);
+        } catch (error) {
+            console.error('Error in update_room handler:', error);
+            rejectRequest(ack, 'Failed to update room');
+        }
+    });
+
+    // Codes are shared out of band; { maxUses: 0 } means unlimited, and
+    // expiresIn is in seconds
+    socket.on('create_invite', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { user, room, error } = await authorizeRoomAction(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            const membershipLock = await getMembershipLock(room);
+            if (membershipLock) {
+                rejectRequest(ack, membershipLock);
+                return;
+            }
+
+            const maxUses = data.maxUses === undefined ? 0 : Number(data.maxUses);
+            if (!Number.isInteger(maxUses) || maxUses < 0) {
+                rejectRequest(ack, 'maxUses must be a whole number (0 for unlimited)');
+                return;
+            }
+
+            const expiresIn = data.expiresIn === undefined ? DEFAULT_INVITE_SECONDS : Number(data.expiresIn);
+            if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_INVITE_SECONDS) {
+                rejectRequest(ack, `expiresIn must be between 1 and ${MAX_INVITE_SECONDS} seconds`);
+                return;
+            }
+
+            const code = crypto.randomBytes(9).toString('base64url');
+            const expiresAt = Date.now() + expiresIn * 1000;
+            await state.createInvite(room, code, { createdBy: user.key, expiresAt, maxUses });
+
+            console.log(`🎟️ ${user.username} created an invitation to ${room}`);
+
+            if (typeof ack === 'function') {
+                ack({ ok: true, room, code, maxUses, expiresAt: new Date(expiresAt).toISOString() });
+            }
+        } catch (error) {
+            console.error('Error in create_invite handler:', error);
+            rejectRequest(ack, 'Failed to create invitation');
+        }
+    });
+
+    // Put a user on a room's allowlist and let them know
+    socket.on('invite_user', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            const membershipLock = await getMembershipLock(room);
+            if (membershipLock) {
+                rejectRequest(ack, membershipLock);
+                return;
+            }
+
+            if (!(await state.setRoomMember(room, target.key, true))) {
+                rejectRequest(ack, `${target.username} is already invited to ${room}`);
+                return;
+            }
+
+            io.to(personalRoom(target.key)).emit('room_invitation', {
+                ...describeRoom(await state.getRoomInfo(room)),
+                invitedBy: user.username,
+                timestamp: new Date().toISOString()
+            });
+
+            console.log(`🎟️ ${user.username} invited ${target.username} to ${room}`);
+
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
+        } catch (error) {
+            console.error('Error in invite_user handler:', error);
+            rejectRequest(ack, 'Failed to invite user');
+        }
+    });
+
+    // Take a user off a room's allowlist; they leave it if it is restricted
+    socket.on('uninvite_user', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const { user, room, target, error } = await authorizeModeration(data || {}, 'moderator');
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            const membershipLock = await getMembershipLock(room);
+            if (membershipLock) {
+                rejectRequest(ack, membershipLock);
+                return;
+            }
+
+            if (!(await state.setRoomMember(room, target.key, false))) {
+                rejectRequest(ack, `${target.username} is not invited to ${room}`);
+                return;
+            }
+
+            if (isRestrictedRoom(await state.getRoomInfo(room)) && await evictFromRoom(room, target.key)) {
+                announceModeration(room, 'uninvited', user, target,
+                    `${target.username} was removed from ${room} by ${user.username}`);
+            }
+
+            console.log(`🎟️ ${user.username} withdrew ${target.username}'s invitation to ${room}`);
+
+            if (typeof ack === 'function') {
+                ack({ ok: true });
+            }
+        } catch (error) {
+            console.error('Error in uninvite_user handler:', error);
+            rejectRequest(ack, 'Failed to withdraw invitation');
+        }
+    });
+
+    // { status: 'online' | 'away' | 'dnd' | 'invisible', statusText }
+    socket.on('set_status', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                rejectRequest(ack, 'User not authenticated');
+                return;
+            }
+
+            const { presence, error } = await setUserStatus(user, data || {});
+            if (error) {
+                rejectRequest(ack, error);
+                return;
+            }
+
+            if (typeof ack === 'function') {
+                ack({ ok: true, presence: describeOwnPresence(presence) });
+            }
+        } catch (error) {
+            console.error('Error in set_status handler:', error);
+            rejectRequest(ack, 'Failed to set status');
+        }
+    });
+
+    // Presence of users by name, including when offline users were last seen
+    socket.on('get_presence', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            if (!users.get(socket.id)) {
+                rejectRequest(ack, 'User not authenticated');
+                return;
+            }
+
+            const usernames = data && Array.isArray(data.usernames) ? data.usernames.slice(0, MAX_PRESENCE_LOOKUPS) : [];
+            const presence = {};
+
+            for (const username of usernames) {
+                const target = isValidUsername(username) ? await resolveRecipient({ targetUsername: username }) : null;
+                if (target) {
+                    presence[target.username] = describePresence(await state.getPresence(target.key), target.online);
+                }
+            }
+
+            socket.emit('presence', presence);
+            if (typeof ack === 'function') {
+                ack({ ok: true, presence });
+            }
+        } catch (error) {
+            console.error('Error in get_presence handler:', error);
+            rejectRequest(ack, 'Failed to load presence');
+        }
+    });
+
+    // A user's mentions inbox, newest first. `markRead: true` marks them all read.
+    socket.on('get_mentions', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                rejectRequest(ack, 'User not authenticated');
+                return;
+            }
+
+            const limit = Math.min(parseInt(data && data.limit, 10) || MAX_MENTIONS_PER_USER, MAX_MENTIONS_PER_USER);
+            const inbox = await state.getMentions(user.key, limit);
+
+            if (data && data.markRead) {
+                await state.markMentionsRead(user.key);
+                inbox.unread = 0;
+            }
+
+            socket.emit('mentions', inbox);
+            if (typeof ack === 'function') {
+                ack({ ok: true, ...inbox });
+            }
+        } catch (error) {
+            console.error('Error in get_mentions handler:', error);
+            rejectRequest(ack, 'Failed to load mentions');
+        }
+    });
+
+    socket.on('mark_read', async (data, ack) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
+
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                rejectRequest(ack, 'User not authenticated');
+                return;
+            }
+
+            const { room = user.room, upToId } = data || {};
+            if (!isInRoom(socket, room)) {
+                rejectRequest(ack, 'You are not in that room');
+                return;
+            }
+
+            const message = upToId ? messageStore.get(room, upToId) : null;
+            if (!message) {
+                rejectRequest(ack, 'Message not found');
+                return;
+            }
+
+            const position = await state.setReadPosition(user.key, room, {
+                messageId: message.id,
+                timestamp: message.timestamp,
+                readAt: new Date().toISOString()
+            });
 
-        try {
-            const user = users.get(socket.id);
-            if (user) {
-                socket.to(user.room).emit('user_typing', {
+            // Only announce when the position actually moved
+            if (position.messageId === message.id) {
+                io.to(room).emit('read_receipt', {
+                    room,
                     username: user.username,
-                    isTyping: false
+                    userId: user.userId,
+                    upToId: position.messageId,
+                    readAt: position.readAt
+                });
+            }
+
+            if (typeof ack === 'function') {
+                ack({
+                    ok: true,
+                    upToId: position.messageId,
+                    unreadCount: messageStore.countAfter(room, position.messageId)
                 });
             }
         } catch (error) {
-            console.error('Error in stop_typing handler:', error);
+            console.error('Error in mark_read handler:', error);
+            rejectRequest(ack, 'Failed to mark messages as read');
         }
     });
 
-    socket.on('change_room', (newRoom) => {
+    socket.on('get_thread', (data) => {
         // Skip if this is a Laravel client
         if (socket.isLaravelClient) return;
 
@@ -515,112 +3433,80 @@ io.on('connection', (socket) => {
                 return;
             }
 
-            if (!isValidRoomName(newRoom)) {
-                socket.emit('error', {
-                    message: 'Invalid room name. Use only letters, numbers, hyphens, and underscores (max 30 chars)'
-                });
+            const { room = user.room, messageId } = data || {};
+
+            if (!isInRoom(socket, room)) {
+                socket.emit('error', { message: 'You can only load threads for rooms you are in' });
                 return;
             }
 
-            const oldRoom = user.room;
-
-            // Leave old room
-            socket.leave(oldRoom);
-            if (rooms.has(oldRoom)) {
-                rooms.get(oldRoom).delete(socket.id);
-                if (rooms.get(oldRoom).size === 0) {
-                    rooms.delete(oldRoom);
-                    // Clean up message history for empty rooms after some time
-                    setTimeout(() => {
-                        if (!rooms.has(oldRoom)) {
-                            messageHistory.delete(oldRoom);
-                        }
-                    }, 300000); // 5 minutes
-                }
+            const root = messageId ? messageStore.get(room, messageId) : null;
+            if (!root || root.type !== 'message') {
+                socket.emit('error', { message: 'Message not found' });
+                return;
             }
 
-            // Join new room
-            socket.join(newRoom);
-            user.room = newRoom;
-
-            if (!rooms.has(newRoom)) {
-                rooms.set(newRoom, new Set());
-            }
-            rooms.get(newRoom).add(socket.id);
+            // Asking for a reply opens the thread it belongs to
+            const threadRoot = root.threadId ? messageStore.get(room, root.threadId) || root : root;
 
-            // Send message history to user
-            const history = getMessageHistory(newRoom);
-            socket.emit('message_history', history);
+            socket.emit('thread', {
+                room,
+                root: threadRoot,
+                replies: messageStore.getThread(room, threadRoot.id, MAX_THREAD_REPLIES)
+            });
+        } catch (error) {
+            console.error('Error in get_thread handler:', error);
+            socket.emit('error', { message: 'Failed to load thread' });
+        }
+    });
 
-            // Notify old room
-            const leftMessage = {
-                id: `system_${Date.now()}`,
-                type: 'system',
-                content: `${user.username} left the room`,
-                room: oldRoom,
-                timestamp: new Date().toISOString()
-            };
-            socket.to(oldRoom).emit('user_left', leftMessage);
-            addToMessageHistory(oldRoom, leftMessage);
-
-            // Update old room user list
-            const oldRoomUsers = Array.from(rooms.get(oldRoom) || [])
-                .map(id => users.get(id)).filter(u => u);
-            io.to(oldRoom).emit('users_update', oldRoomUsers);
-
-            // Notify new room
-            const joinedMessage = {
-                id: `system_${Date.now()}`,
-                type: 'system',
-                content: `${user.username} joined the room`,
-                room: newRoom,
-                timestamp: new Date().toISOString()
-            };
-            socket.to(newRoom).emit('user_joined', joinedMessage);
-            addToMessageHistory(newRoom, joinedMessage);
+    socket.on('load_history', (data) => {
+        // Skip if this is a Laravel client
+        if (socket.isLaravelClient) return;
 
-            // Update new room user list
-            const newRoomUsers = Array.from(rooms.get(newRoom) || [])
-                .map(id => users.get(id)).filter(u => u);
-            io.to(newRoom).emit('users_update', newRoomUsers);
+        try {
+            const user = users.get(socket.id);
+            if (!user) {
+                socket.emit('error', { message: 'User not authenticated' });
+                return;
+            }
 
-            // Confirm to user
-            socket.emit('room_changed', {
-                room: newRoom,
-                userCount: rooms.get(newRoom).size
-            });
+            const { room = user.room, before = null, limit } = data || {};
 
-            console.log(`${user.username} moved from ${oldRoom} to ${newRoom}`);
+            if (!isInRoom(socket, room)) {
+                socket.emit('error', { message: 'You can only load history for rooms you are in' });
+                return;
+            }
 
+            socket.emit('history_page', getHistoryPage(room, before, limit));
         } catch (error) {
-            console.error('Error in change_room handler:', error);
-            socket.emit('error', { message: 'Failed to change room' });
+            console.error('Error in load_history handler:', error);
+            socket.emit('error', { message: 'Failed to load message history' });
         }
     });
 
-    socket.on('get_rooms', () => {
+    socket.on('get_rooms', async () => {
         // Skip if this is a Laravel client
         if (socket.isLaravelClient) return;
 
         try {
-            const roomList = Array.from(rooms.keys()).map(room => ({
-                name: room,
-                userCount: rooms.get(room).size
-            }));
-            socket.emit('rooms_list', roomList);
+            socket.emit('rooms_list', await listVisibleRooms(users.get(socket.id)));
         } catch (error) {
             console.error('Error in get_rooms handler:', error);
         }
     });
 
-    socket.on('get_room_users', (room) => {
+    socket.on('get_room_users', async (room) => {
         // Skip if this is a Laravel client
         if (socket.isLaravelClient) return;
 
         try {
-            const roomUsers = Array.from(rooms.get(room) || [])
-                .map(id => users.get(id)).filter(u => u);
-            socket.emit('room_users', { room, users: roomUsers });
+            if (!(await canViewRoom(socket, users.get(socket.id), room))) {
+                socket.emit('error', { message: `${room} is not open to you` });
+                return;
+            }
+
+            socket.emit('room_users', { room, users: await getRoomMembers(room) });
         } catch (error) {
             console.error('Error in get_room_users handler:', error);
         }
@@ -628,97 +3514,142 @@ io.on('connection', (socket) => {
 
     // Handle Laravel client events through regular Socket.IO
     socket.on('laravel_emit', (data) => {
-        if (!socket.isLaravelClient) return;
+        if (!socket.isLaravelClient) return rejectUnauthorizedLaravelEvent('laravel_emit');
 
-        try {
-            const { event, payload } = data;
-            console.log(`📡 Laravel emit via Socket.IO: ${event}`);
-            io.emit(event, payload);
-        } catch (error) {
-            console.error('❌ Error handling Laravel emit:', error);
+        const { event, payload } = data || {};
+        const message = { event, data: payload };
+
+        const validationError = validateLaravelMessage('emit', message);
+        if (validationError) {
+            rejectLaravelMessage(socket, 'emit', validationError);
+            return;
         }
+
+        console.log(`📡 Laravel emit via Socket.IO: ${event}`);
+        handleLaravelEmit(message);
     });
 
     socket.on('laravel_emit_to_room', (data) => {
-        if (!socket.isLaravelClient) return;
+        if (!socket.isLaravelClient) return rejectUnauthorizedLaravelEvent('laravel_emit_to_room');
 
-        try {
-            const { room, event, payload } = data;
-            console.log(`📢 Laravel emit to room ${room}: ${event}`);
-
-            if (!rooms.has(room)) {
-                rooms.set(room, new Set());
-            }
-
-            io.to(room).emit(event, payload);
+        const { room, event, payload } = data || {};
+        const message = { room, event, data: payload };
 
-            if (event === 'receive_message') {
-                addToMessageHistory(room, payload);
-            }
-        } catch (error) {
-            console.error('❌ Error handling Laravel room emit:', error);
+        const validationError = validateLaravelMessage('emit_to_room', message);
+        if (validationError) {
+            rejectLaravelMessage(socket, 'emit_to_room', validationError);
+            return;
         }
+
+        console.log(`📢 Laravel emit to room ${room}: ${event}`);
+        handleLaravelRoomEmit(message);
     });
 
     socket.on('laravel_room_created', (data) => {
-        if (!socket.isLaravelClient) return;
+        if (!socket.isLaravelClient) return rejectUnauthorizedLaravelEvent('laravel_room_created');
+
+        const validationError = validateLaravelMessage('room_created', data);
+        if (validationError) {
+            rejectLaravelMessage(socket, 'room_created', validationError);
+            return;
+        }
 
         handleLaravelRoomCreation(data);
     });
 
+    socket.on('laravel_member_added', (data) => {
+        if (!socket.isLaravelClient) return rejectUnauthorizedLaravelEvent('laravel_member_added');
+
+        const validationError = validateLaravelMessage('member_added', data);
+        if (validationError) {
+            rejectLaravelMessage(socket, 'member_added', validationError);
+            return;
+        }
+
+        handleLaravelMemberAdded(data);
+    });
+
+    socket.on('laravel_member_removed', (data) => {
+        if (!socket.isLaravelClient) return rejectUnauthorizedLaravelEvent('laravel_member_removed');
+
+        const validationError = validateLaravelMessage('member_removed', data);
+        if (validationError) {
+            rejectLaravelMessage(socket, 'member_removed', validationError);
+            return;
+        }
+
+        handleLaravelMemberRemoved(data);
+    });
+
     socket.on('laravel_presence_update', (data) => {
-        if (!socket.isLaravelClient) return;
+        if (!socket.isLaravelClient) return rejectUnauthorizedLaravelEvent('laravel_presence_update');
+
+        const validationError = validateLaravelMessage('presence_update', data);
+        if (validationError) {
+            rejectLaravelMessage(socket, 'presence_update', validationError);
+            return;
+        }
 
         handleLaravelPresenceUpdate(data);
     });
 
-    socket.on('disconnect', (reason) => {
-        try {
-            if (socket.isLaravelClient) {
-                laravelSockets.delete(socket.id);
-                console.log('🔌 Laravel socket client disconnected');
-                return;
-            }
+    // Announce the rooms the user has now left entirely, and refresh the
+    // user list of every room the socket was in
+    const announceDeparture = async (username, { rooms, socketRooms }, reason) => {
+        for (const room of rooms) {
+            announceToRoom(socket, room, 'user_left', `${username} left the room`);
+        }
+        for (const room of socketRooms) {
+            await broadcastRoomUsers(room);
+        }
 
-            const user = users.get(socket.id);
+        console.log(`${username} disconnected from ${socketRooms.join(', ')} (${reason}) at ${new Date().toISOString()}`);
+    };
 
-            if (user) {
-                const { username, room } = user;
-
-                // Remove from room
-                if (rooms.has(room)) {
-                    rooms.get(room).delete(socket.id);
-                    if (rooms.get(room).size === 0) {
-                        rooms.delete(room);
-                        // Clean up message history for empty rooms after some time
-                        setTimeout(() => {
-                            if (!rooms.has(room)) {
-                                messageHistory.delete(room);
-                            }
-                        }, 300000); // 5 minutes
-                    }
-                }
+    // Disconnect a guest whose name a signed-in user took
+    const dismissGuest = async (username, { key, released }) => {
+        io.to(personalRoom(key)).emit('error', { message: `${username} signed in, so that name is no longer free` });
+        io.in(personalRoom(key)).disconnectSockets(true);
 
-                // Remove user
-                users.delete(socket.id);
+        for (const result of released) {
+            await announceDeparture(username, result, 'name taken by its signed-in owner');
+        }
+    };
 
-                // Notify room
-                const leftMessage = {
-                    id: `system_${Date.now()}`,
-                    type: 'system',
-                    content: `${username} left the room`,
-                    room,
-                    timestamp: new Date().toISOString()
-                };
-                socket.to(room).emit('user_left', leftMessage);
-                addToMessageHistory(room, leftMessage);
+    socket.on('disconnect', async (reason) => {
+        try {
+            const user = users.get(socket.id);
+            users.delete(socket.id);
+            rateLimiter.releaseSocket(socket.id);
+
+            // Hold the user's name and rooms so a reconnect can resume the session
+            if (user && RESUME_GRACE_PERIOD_MS > 0 && await state.suspendSession(socket.id)) {
+                console.log(`⏸️ ${user.username} disconnected (${reason}), holding session for ${RESUME_GRACE_PERIOD_MS}ms`);
+
+                setTimeout(async () => {
+                    try {
+                        const expired = await state.expireSession(socket.id);
+                        if (expired && expired.user) {
+                            await announceDeparture(expired.user.username, expired, `${reason}, not resumed`);
+                        }
+                    } catch (error) {
+                        console.error('Error expiring session:', error);
+                    }
+                }, RESUME_GRACE_PERIOD_MS).unref();
+                return;
+            }
 
-                // Update user list for room
-                const roomUsers = Array.from(rooms.get(room) || [])
-                    .map(id => users.get(id)).filter(u => u);
-                io.to(room).emit('users_update', roomUsers);
+            // Release the username and room memberships everywhere
+            const released = await state.disconnectSocket(socket.id);
+
+            if (socket.isLaravelClient) {
+                console.log('🔌 Laravel socket client disconnected');
+                return;
+            }
 
-                console.log(`${username} disconnected from ${room} (${reason}) at ${new Date().toISOString()}`);
+            // No user left to release when the session moved to a new socket
+            if (user && released.user) {
+                await announceDeparture(user.username, released, reason);
             } else {
                 console.log(`User disconnected: ${socket.id} (${reason}) at ${new Date().toISOString()}`);
             }
@@ -733,48 +3664,352 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.get('/health', (req, res) => {
+// Health of this process (a single worker when clustered)
+app.get('/health', async (req, res, next) => {
+    try {
+        const stats = await state.getStats();
+
+        res.json({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            pid: process.pid,
+            worker: cluster.isWorker ? cluster.worker.id : null,
+            connectedClients: io.engine.clientsCount,
+            laravelSockets: stats.laravelSockets,
+            regularUsers: stats.connectedUsers,
+            activeRooms: stats.activeRooms
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// API endpoints
+app.get('/api/stats', async (req, res, next) => {
+    try {
+        const clusterStats = await state.getStats();
+
+        const stats = {
+            connectedUsers: clusterStats.connectedUsers,
+            activeRooms: clusterStats.activeRooms,
+            laravelSockets: clusterStats.laravelSockets,
+            totalConnections: clusterStats.totalConnections,
+            rooms: (await state.listRooms()).filter(info => isListedRoom(info.name, info)).map(describeRoom),
+            messageStore: messageStore.driver,
+            totalMessages: messageStore.listRooms()
+                .reduce((total, room) => total + getMessageCount(room), 0),
+            rateLimits: rateLimiter.status(),
+            messageFilters: messagePipeline.status(),
+            attachmentStorage: attachmentStore.driver,
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        };
+        res.json(stats);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/webhooks/status', (req, res) => {
     res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        connectedClients: io.engine.clientsCount,
-        laravelSockets: laravelSockets.size,
-        regularUsers: users.size,
-        activeRooms: rooms.size
+        enabled: Boolean(webhookQueue),
+        ...(webhookQueue ? webhookQueue.status() : {}),
+        timestamp: new Date().toISOString()
     });
 });
 
-// API endpoints
-app.get('/api/stats', (req, res) => {
-    const stats = {
-        connectedUsers: users.size,
-        activeRooms: rooms.size,
-        laravelSockets: laravelSockets.size,
-        totalConnections: io.engine.clientsCount,
-        rooms: Array.from(rooms.keys()).map(room => ({
-            name: room,
-            userCount: rooms.get(room).size
-        })),
-        totalMessages: Array.from(messageHistory.values())
-            .reduce((total, history) => total + history.length, 0),
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-    };
-    res.json(stats);
+app.get('/api/rooms', async (req, res, next) => {
+    try {
+        const activeRooms = new Map((await state.listRooms()).map(room => [room.name, room]));
+
+        // Include rooms that only have stored history (e.g. after a restart)
+        const roomNames = new Set([...activeRooms.keys(), ...messageStore.listRooms()]);
+
+        const roomList = [];
+        for (const room of roomNames) {
+            const info = activeRooms.get(room) || { ...await state.getRoomInfo(room), userCount: 0 };
+
+            if (!isListedRoom(room, info)) continue;
+
+            roomList.push({ ...describeRoom(info), messageCount: getMessageCount(room) });
+        }
+        res.json(roomList);
+    } catch (error) {
+        next(error);
+    }
 });
 
-app.get('/api/rooms', (req, res) => {
-    const roomList = Array.from(rooms.keys()).map(room => ({
-        name: room,
-        userCount: rooms.get(room).size,
-        messageCount: messageHistory.get(room)?.length || 0
-    }));
-    res.json(roomList);
+app.get('/api/rooms/:room/messages', async (req, res, next) => {
+    const { room } = req.params;
+
+    if (!isValidRoomName(room)) {
+        return res.status(400).json({
+            error: 'Invalid room name',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        if (!isPublicHistory(room, await state.getRoomInfo(room))) {
+            return res.status(403).json({
+                error: 'This room is not public',
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    res.json(getHistoryPage(room, req.query.before || null, req.query.limit));
+});
+
+// Browsers call the attachment API as their chat user, with the resume token
+// from `joined`: "Authorization: Bearer <token>"
+const getRequestUser = async (req) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? state.getSessionUser(token) : null;
+};
+
+// The address an HTTP request came from, as getClientAddress finds a socket's
+const getRequestAddress = (req) => {
+    const forwarded = req.get('X-Forwarded-For');
+    return TRUST_PROXY && forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+// The name an upload is stored under, from the X-Filename header (URI-encoded)
+const getUploadFilename = (req) => {
+    let filename = req.get('X-Filename') || '';
+    try {
+        filename = decodeURIComponent(filename);
+    } catch (error) {
+        // Keep the header as sent
+    }
+
+    filename = path.basename(filename).replace(/[\u0000-\u001f"\\]/g, '').trim();
+    return filename.substring(0, MAX_FILENAME_LENGTH) || 'attachment';
+};
+
+// Check who is uploading, and that they may, before the body is read
+const authorizeUpload = async (req, res, next) => {
+    const { room } = req.params;
+    const reject = (status, error, details = {}) => res.status(status).json({ error, ...details, timestamp: new Date().toISOString() });
+
+    try {
+        if (!isValidRoomName(room)) {
+            return reject(400, 'Invalid room name');
+        }
+
+        const user = await getRequestUser(req);
+        if (!user) {
+            return reject(401, 'A chat session token is required');
+        }
+        if (!(await state.getUserRooms(user.key)).includes(room)) {
+            return reject(403, 'You are not in that room');
+        }
+
+        const limited = rateLimiter.consume('upload_attachment', { userKey: user.key, address: getRequestAddress(req) });
+        if (limited) {
+            const details = describeRateLimit(limited);
+            res.set('Retry-After', String(details.retryAfter));
+            return reject(429, details.message, { rateLimited: details });
+        }
+
+        req.chatUser = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Upload a file to a room the user is in. The body is the raw file, with its
+// MIME type as Content-Type. Send the returned id in send_message's
+// `attachments` to share it; unsent uploads count against the user's
+// ATTACHMENT_UNSENT_QUOTA_BYTES until then, and expire.
+app.post('/api/rooms/:room/attachments', authorizeUpload, express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES }), async (req, res, next) => {
+    const { room } = req.params;
+    const user = req.chatUser;
+    const reject = (status, error) => res.status(status).json({ error, timestamp: new Date().toISOString() });
+
+    try {
+        const mimeType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        if (!ATTACHMENT_TYPES.includes(mimeType)) {
+            return reject(415, `Files of type "${mimeType || 'unknown'}" are not allowed`);
+        }
+
+        const data = req.body;
+        if (!Buffer.isBuffer(data) || data.length === 0) {
+            return reject(400, 'The file is empty');
+        }
+
+        // Images are shown inline, so they must really be what they claim
+        if (mimeType.startsWith('image/') && detectImageType(data) !== mimeType) {
+            return reject(415, `The file is not a valid ${mimeType} image`);
+        }
+
+        const id = crypto.randomBytes(16).toString('hex');
+        if (!(await state.reserveUpload(user.key, id, data.length, ATTACHMENT_UNSENT_QUOTA_BYTES))) {
+            return reject(429, 'Too many of your uploads are waiting to be sent; send them or wait for them to expire');
+        }
+
+        let attachment;
+        try {
+            attachment = await attachmentStore.save({
+                id,
+                room,
+                filename: getUploadFilename(req),
+                mimeType,
+                size: data.length,
+                uploadedBy: { key: user.key, username: user.username, userId: user.userId },
+                uploadedAt: new Date().toISOString()
+            }, data);
+        } catch (error) {
+            await state.releaseUpload(user.key, id);
+            throw error;
+        }
+
+        try {
+            const thumbnail = await createThumbnail(data);
+            if (thumbnail) {
+                attachment = await attachmentStore.saveThumbnail(attachment.id, thumbnail.data, thumbnail.mimeType);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to create a thumbnail for ${attachment.filename}:`, error.message);
+        }
+
+        console.log(`📎 ${user.username} uploaded ${attachment.filename} (${attachment.size} bytes) to ${room}`);
+
+        res.status(201).json({
+            attachment: describeAttachment(attachment),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Attachments are fetched like they are uploaded, with the session token, and
+// only by people in their room; others are told it doesn't exist.
+// Only verified images are shown inline, everything else is downloaded.
+const sendAttachment = (variant) => async (req, res, next) => {
+    const reject = (status, error) => res.status(status).json({ error, timestamp: new Date().toISOString() });
+
+    try {
+        const user = await getRequestUser(req);
+        if (!user) {
+            return reject(401, 'A chat session token is required');
+        }
+
+        const attachment = await attachmentStore.get(req.params.id);
+        const allowed = attachment && (await state.getUserRooms(user.key)).includes(attachment.room);
+        const data = allowed && (variant === 'original' || attachment.thumbnail)
+            ? await attachmentStore.read(attachment.id, variant)
+            : null;
+        if (!data) {
+            return reject(404, 'Attachment not found');
+        }
+
+        const inline = detectImageType(data) !== null;
+        res.set({
+            'Content-Type': variant === 'thumbnail' ? attachment.thumbnail.mimeType : attachment.mimeType,
+            'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+            'Cache-Control': 'private, max-age=86400'
+        });
+        res.send(data);
+    } catch (error) {
+        next(error);
+    }
+};
+
+app.get('/api/attachments/:id', sendAttachment('original'));
+app.get('/api/attachments/:id/thumbnail', sendAttachment('thumbnail'));
+
+// Backend ingestion API: the HTTP equivalent of the Laravel socket protocol.
+// Requests must be signed with LARAVEL_CLIENT_TOKEN (see verifyRequestSignature).
+const requireBackendSignature = async (req, res, next) => {
+    try {
+        const nonce = req.get('X-Nonce');
+        verifyRequestSignature({
+            method: req.method,
+            path: req.originalUrl,
+            timestamp: req.get('X-Timestamp'),
+            nonce,
+            signature: req.get('X-Signature'),
+            body: req.rawBody
+        }, LARAVEL_CLIENT_TOKEN);
+
+        if (!(await useNonce('request', nonce))) {
+            throw new Error('Request was already used');
+        }
+        next();
+    } catch (error) {
+        console.log(`🔒 Backend HTTP auth failed for ${req.method} ${req.path} from ${req.ip}: ${error.message}`);
+        res.status(401).json({
+            error: 'Invalid or missing request signature',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+const ingestLaravelMessage = (res, type, message, handler, successStatus = 200) => {
+    const validationError = validateLaravelMessage(type, message);
+    if (validationError) {
+        return res.status(422).json({
+            error: validationError,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (!handler(message)) {
+        return res.status(500).json({
+            error: `Failed to process ${type}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.status(successStatus).json({
+        success: true,
+        type,
+        timestamp: new Date().toISOString()
+    });
+};
+
+app.post('/api/broadcast', requireBackendSignature, (req, res) => {
+    const { event, data } = req.body;
+    ingestLaravelMessage(res, 'emit', { event, data }, handleLaravelEmit);
+});
+
+app.post('/api/rooms/:room/events', requireBackendSignature, (req, res) => {
+    const { event, data } = req.body;
+    ingestLaravelMessage(res, 'emit_to_room', { room: req.params.room, event, data }, handleLaravelRoomEmit);
+});
+
+app.post('/api/presence', requireBackendSignature, (req, res) => {
+    ingestLaravelMessage(res, 'presence_update', req.body, handleLaravelPresenceUpdate);
+});
+
+app.post('/api/rooms', requireBackendSignature, (req, res) => {
+    ingestLaravelMessage(res, 'room_created', req.body, handleLaravelRoomCreation, 201);
+});
+
+app.post('/api/rooms/:room/members', requireBackendSignature, (req, res) => {
+    ingestLaravelMessage(res, 'member_added', { room: req.params.room, user_id: req.body.user_id }, handleLaravelMemberAdded);
+});
+
+app.delete('/api/rooms/:room/members/:userId', requireBackendSignature, (req, res) => {
+    ingestLaravelMessage(res, 'member_removed', { room: req.params.room, user_id: req.params.userId }, handleLaravelMemberRemoved);
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Malformed or oversized request bodies are client errors
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(err.status).json({
+            error: err.type === 'entity.too.large' ? 'Request body too large' : 'Invalid JSON body',
+            timestamp: new Date().toISOString()
+        });
+    }
+
     console.error('Express error:', err);
     res.status(500).json({
         error: 'Internal server error',
@@ -794,21 +4029,44 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || 'localhost';
 
-server.listen(PORT, () => {
-    console.log(`🚀 Server running on http://${HOST}:${PORT}`);
-    console.log(`📊 Stats available at http://${HOST}:${PORT}/api/stats`);
-    console.log(`🏥 Health check at http://${HOST}:${PORT}/health`);
-    console.log(`📅 Started at ${new Date().toISOString()}`);
-    console.log(`🔗 Ready to accept Laravel socket connections`);
-    console.log(`💡 Laravel clients should send 'LARAVEL_CLIENT' to identify`);
-});
+const logConfigurationWarnings = () => {
+    if (!AUTH_TOKEN_SECRET && !ALLOW_GUEST_USERS) {
+        console.log('⚠️ AUTH_TOKEN_SECRET is not set and ALLOW_GUEST_USERS=false: nobody can join the chat');
+    } else if (!AUTH_TOKEN_SECRET) {
+        console.log('⚠️ AUTH_TOKEN_SECRET is not set: browser users join as unverified guests');
+    }
+    if (process.env.LARAVEL_CLIENT_TOKEN === PLACEHOLDER_CLIENT_TOKEN) {
+        console.log('⚠️ LARAVEL_CLIENT_TOKEN is still the example placeholder: Laravel clients cannot authenticate until it is changed');
+    } else if (!LARAVEL_CLIENT_TOKEN) {
+        console.log('⚠️ LARAVEL_CLIENT_TOKEN is not set: Laravel clients cannot authenticate');
+    }
+
+    const eventPolicy = laravelEventPolicy.describe();
+    console.log(`🛡️ Laravel events allowed: ${eventPolicy.allowlist.join(', ') || '(none)'}${eventPolicy.prefix ? ` and ${eventPolicy.prefix}*` : ''}`);
+};
+
+if (cluster.isWorker) {
+    // The cluster primary owns the port and hands connections over (see cluster.js)
+    console.log(`👷 Worker ${process.pid} (#${cluster.worker.id}) ready`);
+    logConfigurationWarnings();
+} else {
+    server.listen(PORT, () => {
+        console.log(`🚀 Server running on http://${HOST}:${PORT}`);
+        console.log(`📊 Stats available at http://${HOST}:${PORT}/api/stats`);
+        console.log(`🏥 Health check at http://${HOST}:${PORT}/health`);
+        console.log(`📅 Started at ${new Date().toISOString()}`);
+        console.log(`🔗 Ready to accept Laravel socket connections`);
+        console.log(`💡 Laravel clients authenticate with LARAVEL_CLIENT_TOKEN (handshake auth or 'LARAVEL_CLIENT <token>')`);
+        logConfigurationWarnings();
+    });
+}
 
 // Graceful shutdown
 const gracefulShutdown = () => {
     console.log('\n🛑 Shutting down server gracefully...');
 
-    // Notify all connected users
-    io.emit('server_shutdown', {
+    // Notify users connected to this process
+    io.local.emit('server_shutdown', {
         message: 'Server is shutting down. Please refresh to reconnect.'
     });
 
@@ -818,6 +4076,17 @@ const gracefulShutdown = () => {
         // Close all socket connections
         io.close(() => {
             console.log('✅ Socket.IO server closed');
+
+            messageStore.close();
+            conversationStore.close();
+            console.log('✅ Message store closed');
+
+            if (webhookQueue) {
+                webhookQueue.stop();
+            }
+            rateLimiter.stop();
+            clearInterval(idleTimer);
+            clearInterval(attachmentPurgeTimer);
             console.log('👋 Goodbye!');
             process.exit(0);
         });
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { verifyToken, verifyBackendCredentials, verifyRequestSignature, signRequest, signPayload } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Build a JWT the way the Laravel app does, with any header and signing secret
+const makeToken = (claims, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) => {
+    const unsigned = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('verifyToken', () => {
+    test('returns the claims of a valid token', () => {
+        const token = makeToken({ sub: 1, username: 'alice', exp: now() + 60 });
+        expect(verifyToken(token, SECRET)).toMatchObject({ sub: 1, username: 'alice' });
+    });
+
+    test('rejects malformed tokens', () => {
+        expect(() => verifyToken('not-a-token', SECRET)).toThrow('Malformed token');
+        expect(() => verifyToken('a.b.c', SECRET)).toThrow('Malformed token');
+        expect(() => verifyToken(undefined, SECRET)).toThrow('Malformed token');
+    });
+
+    test('rejects a token signed with another secret', () => {
+        const token = makeToken({ sub: 1, exp: now() + 60 }, { secret: 'other-secret' });
+        expect(() => verifyToken(token, SECRET)).toThrow('Invalid token signature');
+    });
+
+    test('rejects a token whose claims were changed after signing', () => {
+        const [header, , signature] = makeToken({ sub: 1, exp: now() + 60 }).split('.');
+        const forged = `${header}.${encode({ sub: 2, exp: now() + 60 })}.${signature}`;
+        expect(() => verifyToken(forged, SECRET)).toThrow('Invalid token signature');
+    });
+
+    test('rejects algorithms other than HS256', () => {
+        const none = makeToken({ sub: 1, exp: now() + 60 }, { header: { alg: 'none' } });
+        const rs256 = makeToken({ sub: 1, exp: now() + 60 }, { header: { alg: 'RS256' } });
+        expect(() => verifyToken(none, SECRET)).toThrow('Unsupported token algorithm: none');
+        expect(() => verifyToken(rs256, SECRET)).toThrow('Unsupported token algorithm: RS256');
+    });
+
+    test('requires an expiry and enforces it', () => {
+        expect(() => verifyToken(makeToken({ sub: 1 }), SECRET)).toThrow('Token has no expiry');
+        expect(() => verifyToken(makeToken({ sub: 1, exp: now() - 10 }), SECRET)).toThrow('Token expired');
+    });
+
+    test('allows leeway around exp and nbf', () => {
+        const expired = makeToken({ sub: 1, exp: now() - 10 });
+        const early = makeToken({ sub: 1, exp: now() + 60, nbf: now() + 10 });
+        expect(verifyToken(expired, SECRET, { leeway: 30 })).toMatchObject({ sub: 1 });
+        expect(() => verifyToken(early, SECRET)).toThrow('Token not yet valid');
+        expect(verifyToken(early, SECRET, { leeway: 30 })).toMatchObject({ sub: 1 });
+    });
+
+    test('checks the issuer when one is configured', () => {
+        const token = makeToken({ sub: 1, exp: now() + 60, iss: 'laravel' });
+        expect(verifyToken(token, SECRET, { issuer: 'laravel' })).toMatchObject({ iss: 'laravel' });
+        expect(() => verifyToken(token, SECRET, { issuer: 'someone-else' })).toThrow('Invalid token issuer');
+        expect(() => verifyToken(makeToken({ sub: 1, exp: now() + 60 }), SECRET, { issuer: 'laravel' }))
+            .toThrow('Invalid token issuer');
+    });
+});
+
+describe('verifyBackendCredentials', () => {
+    test('refuses everything when no secret is configured', () => {
+        expect(() => verifyBackendCredentials({ token: '' }, '')).toThrow('LARAVEL_CLIENT_TOKEN is not configured');
+    });
+
+    test('accepts the shared token and rejects others', () => {
+        expect(verifyBackendCredentials({ token: SECRET }, SECRET)).toBe(true);
+        expect(() => verifyBackendCredentials({ token: 'wrong' }, SECRET)).toThrow('Invalid client token');
+    });
+
+    test('accepts a fresh timestamp signature', () => {
+        const timestamp = now();
+        const signature = signPayload(`laravel-client:${timestamp}:nonce-0001`, SECRET);
+        expect(verifyBackendCredentials({ timestamp, nonce: 'nonce-0001', signature }, SECRET)).toBe(true);
+    });
+
+    test('rejects bad or stale timestamp signatures', () => {
+        const timestamp = now();
+        const stale = now() - 600;
+        expect(() => verifyBackendCredentials({ timestamp, nonce: 'nonce-0001', signature: 'bad' }, SECRET))
+            .toThrow('Invalid client signature');
+        expect(() => verifyBackendCredentials({
+            timestamp: stale,
+            nonce: 'nonce-0001',
+            signature: signPayload(`laravel-client:${stale}:nonce-0001`, SECRET)
+        }, SECRET)).toThrow('Signature timestamp out of range');
+    });
+
+    test('binds the signature to its nonce', () => {
+        const timestamp = now();
+        const signature = signPayload(`laravel-client:${timestamp}:nonce-0001`, SECRET);
+        expect(() => verifyBackendCredentials({ timestamp, nonce: 'nonce-0002', signature }, SECRET))
+            .toThrow('Invalid client signature');
+        expect(() => verifyBackendCredentials({ timestamp, signature }, SECRET)).toThrow('Invalid nonce');
+    });
+
+    test('rejects missing credentials', () => {
+        expect(() => verifyBackendCredentials({}, SECRET)).toThrow('Missing client credentials');
+        expect(() => verifyBackendCredentials(null, SECRET)).toThrow('Missing client credentials');
+    });
+});
+
+describe('verifyRequestSignature', () => {
+    const body = Buffer.from(JSON.stringify({ room: 'general', content: 'hello' }));
+    const signed = (overrides = {}) => {
+        const request = { method: 'POST', path: '/api/rooms/general/events', timestamp: now(), nonce: 'nonce-0001', body, ...overrides };
+        return { ...request, signature: signRequest(request, SECRET) };
+    };
+
+    test('accepts a signed request', () => {
+        expect(verifyRequestSignature(signed(), SECRET)).toBe(true);
+        expect(verifyRequestSignature(signed({ method: 'DELETE', path: '/api/rooms/general/members/2', body: undefined }), SECRET))
+            .toBe(true);
+    });
+
+    test('signs the method, path, timestamp, nonce and body', () => {
+        const request = signed();
+        const expected = signPayload(`POST\n/api/rooms/general/events\n${request.timestamp}\nnonce-0001\n${body}`, SECRET);
+        expect(request.signature).toBe(expected);
+    });
+
+    test('rejects a request moved to another route or changed', () => {
+        const request = signed();
+        for (const change of [
+            { path: '/api/rooms/other/events' },
+            { path: '/api/broadcast' },
+            { method: 'PUT' },
+            { nonce: 'nonce-0002' },
+            { body: Buffer.from('{}') }
+        ]) {
+            expect(() => verifyRequestSignature({ ...request, ...change }, SECRET)).toThrow('Invalid request signature');
+        }
+        expect(() => verifyRequestSignature(request, 'other-secret')).toThrow('Invalid request signature');
+    });
+
+    test('rejects stale timestamps, bad nonces and missing headers', () => {
+        expect(() => verifyRequestSignature(signed({ timestamp: now() - 600 }), SECRET))
+            .toThrow('Signature timestamp out of range');
+        expect(() => verifyRequestSignature(signed({ nonce: 'short' }), SECRET)).toThrow('Invalid nonce');
+        expect(() => verifyRequestSignature(signed({ nonce: 'a\nb-c-d-e-f' }), SECRET)).toThrow('Invalid nonce');
+        expect(() => verifyRequestSignature({ ...signed(), nonce: undefined }, SECRET)).toThrow('Missing signature headers');
+        expect(() => verifyRequestSignature({ body }, SECRET)).toThrow('Missing signature headers');
+    });
+
+    test('refuses everything when no secret is configured', () => {
+        expect(() => verifyRequestSignature({ ...signed(), signature: 'x' }, ''))
+            .toThrow('LARAVEL_CLIENT_TOKEN is not configured');
+    });
+});
@@ -0,0 +1,76 @@
+const { createCommandRegistry } = require('../lib/commands');
+
+describe('createCommandRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = createCommandRegistry();
+        registry.register('msg', {
+            description: 'Send a private message',
+            args: [{ name: 'username' }, { name: 'message', rest: true }],
+            aliases: ['whisper', 'w']
+        });
+        registry.register('kick', {
+            args: [{ name: 'username' }, { name: 'reason', rest: true, optional: true }],
+            permission: 'moderator'
+        });
+        registry.register('topic', {
+            args: [{ name: 'text', rest: true, optional: true }],
+            permission: (args) => (args.text ? 'moderator' : 'member')
+        });
+        registry.register('help', { args: [{ name: 'command', optional: true }] });
+    });
+
+    test('leaves plain messages and escaped slashes alone', () => {
+        expect(registry.parse('hello there')).toBeNull();
+        expect(registry.parse('//not a command')).toBeNull();
+        expect(registry.parse(undefined)).toBeNull();
+    });
+
+    test('keeps the rest of the line as typed for a rest argument', () => {
+        const { command, args } = registry.parse('/msg bob  see you   at "noon"');
+
+        expect(command.name).toBe('msg');
+        expect(args).toEqual({ username: 'bob', message: 'see you   at "noon"' });
+    });
+
+    test('groups quoted words into one argument', () => {
+        expect(registry.parse('/help "msg"').args).toEqual({ command: 'msg' });
+        expect(registry.parse('/kick "bob" spamming links').args).toEqual({ username: 'bob', reason: 'spamming links' });
+    });
+
+    test('finds commands by alias, ignoring case', () => {
+        expect(registry.parse('/W bob hi').command.name).toBe('msg');
+        expect(registry.get('/whisper').name).toBe('msg');
+        expect(registry.get('nope')).toBeNull();
+    });
+
+    test('allows optional arguments to be left out at the end', () => {
+        expect(registry.parse('/kick bob').args).toEqual({ username: 'bob' });
+        expect(registry.parse('/help').args).toEqual({});
+    });
+
+    test('reports usage for missing or extra arguments', () => {
+        expect(registry.parse('/msg bob')).toEqual({ error: 'Usage: /msg <username> <message...>' });
+        expect(registry.parse('/help msg kick')).toEqual({ error: 'Usage: /help [command]' });
+        expect(registry.parse('/kick')).toEqual({ error: 'Usage: /kick <username> [reason...]' });
+    });
+
+    test('reports unknown commands', () => {
+        expect(registry.parse('/dance now')).toEqual({ error: 'Unknown command /dance. Type /help for a list of commands.' });
+        expect(registry.parse('/')).toEqual({ error: 'Unknown command /. Type /help for a list of commands.' });
+    });
+
+    test('works out the role a command needs from its arguments', () => {
+        const topic = registry.get('topic');
+
+        expect(registry.permissionFor(registry.get('msg'), {})).toBe('member');
+        expect(registry.permissionFor(registry.get('kick'), { username: 'bob' })).toBe('moderator');
+        expect(registry.permissionFor(topic, registry.parse('/topic').args)).toBe('member');
+        expect(registry.permissionFor(topic, registry.parse('/topic New topic').args)).toBe('moderator');
+    });
+
+    test('lists registered commands without their aliases', () => {
+        expect(registry.list().map(command => command.name)).toEqual(['msg', 'kick', 'topic', 'help']);
+    });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createLocalState = require('../lib/state/localState');
+
+const member = (socketId, username, userId = null) => ({
+    key: userId === null ? `guest:${username.toLowerCase()}` : `user:${userId}`,
+    username,
+    userId,
+    socketId,
+    room: 'general',
+    rooms: ['general']
+});
+
+describe('createLocalState', () => {
+    let state;
+
+    beforeEach(() => {
+        state = createLocalState();
+    });
+
+    describe('users', () => {
+        test('counts a signed-in user once across devices', async () => {
+            expect(await state.registerUser(member('s1', 'alice', 1))).toBe(true);
+            expect(await state.registerUser(member('s2', 'alice', 1))).toBe(true);
+            await state.joinRoom('general', 's1');
+            const { firstDevice } = await state.joinRoom('general', 's2');
+
+            expect(firstDevice).toBe(false);
+            expect(await state.getRoomUsers('general')).toEqual([expect.objectContaining({ key: 'user:1', devices: 2 })]);
+            expect(await state.findUserById(1)).toMatchObject({ username: 'alice', devices: 2 });
+            expect(await state.findUserByUsername('ALICE')).toMatchObject({ key: 'user:1' });
+        });
+
+        test('gives a name to one holder, and a guest name to one socket', async () => {
+            await state.registerUser(member('s1', 'alice', 1));
+            await state.registerUser(member('s2', 'bob'));
+
+            expect(await state.registerUser(member('s3', 'Alice', 2))).toBe(false);
+            expect(await state.registerUser(member('s4', 'alice'))).toBe(false);
+            expect(await state.registerUser(member('s5', 'bob'))).toBe(false);
+        });
+
+        test('frees the name and goes offline with the last socket', async () => {
+            await state.registerUser(member('s1', 'alice', 1));
+            await state.registerUser(member('s2', 'alice', 1));
+
+            expect(await state.disconnectSocket('s1')).toMatchObject({ offline: false });
+            expect(await state.disconnectSocket('s2')).toMatchObject({ offline: true });
+            expect(await state.findUserById(1)).toBeNull();
+            expect((await state.getPresence('user:1')).lastSeenAt).toEqual(expect.any(Number));
+            expect(await state.registerUser(member('s3', 'alice', 2))).toBe(true);
+        });
+
+        test('moves a suspended session to a new socket', async () => {
+            await state.registerUser(member('s1', 'alice', 1));
+            await state.joinRoom('general', 's1');
+            await state.createSession('token', 's1');
+
+            expect(await state.suspendSession('s1')).toBe(true);
+            expect(await state.resumeSession('token', 's2')).toMatchObject({ user: { username: 'alice', socketId: 's2' }, previousSocketId: 's1' });
+            expect(await state.getRoomUsers('general')).toEqual([expect.objectContaining({ socketId: 's2', devices: 1 })]);
+            expect(await state.expireSession('s1')).toBeNull();
+            expect(await state.resumeSession('unknown', 's3')).toBeNull();
+        });
+
+        test('takes a name back from a guest and ends their sessions', async () => {
+            await state.registerUser(member('s1', 'bob'));
+            await state.createSession('guest-token', 's1');
+            await state.suspendSession('s1');
+            await state.registerUser(member('s2', 'dave'));
+
+            const evicted = await state.evictGuestName('Bob');
+            expect(evicted).toMatchObject({ key: 'guest:bob', socketIds: [], released: [expect.objectContaining({ offline: true })] });
+            expect(await state.resumeSession('guest-token', 's3')).toBeNull();
+            expect(await state.registerUser(member('s4', 'bob', 7))).toBe(true);
+
+            // Signed-in users keep their names
+            expect(await state.evictGuestName('bob')).toBeNull();
+            expect(await state.evictGuestName('dave')).toMatchObject({ key: 'guest:dave', socketIds: ['s2'] });
+        });
+
+        test('carries a renamed guest\'s room access to the new name', async () => {
+            await state.registerUser(member('s1', 'gus'));
+            await state.setRoomMember('secret', 'guest:gus', true);
+
+            expect(await state.renameUser('s1', 'gustav', 'guest:gustav')).toBe(true);
+            expect((await state.getRoomInfo('secret')).allowlist).toEqual(['guest:gustav']);
+            expect(await state.findUserByUsername('gus')).toBeNull();
+        });
+    });
+
+    describe('rooms', () => {
+        test('ranks owners above moderators above members', async () => {
+            await state.setRoomOwner('general', 'user:1');
+            await state.setRoomModerator('general', 'user:2', true);
+
+            expect(await state.getRoomRole('general', 'user:1')).toBe('owner');
+            expect(await state.getRoomRole('general', 'user:2')).toBe('moderator');
+            expect(await state.getRoomRole('general', 'user:3')).toBe('member');
+            expect(await state.setRoomModerator('general', 'user:2', true)).toBe(false);
+        });
+
+        test('lifts mutes once they run out', async () => {
+            await state.muteUser('general', 'user:1', Date.now() + 60000);
+            await state.muteUser('general', 'user:2', Date.now() - 1);
+
+            expect((await state.getRestrictions('general', 'user:1')).mutedUntil).toBeGreaterThan(Date.now());
+            expect(await state.getRestrictions('general', 'user:2')).toEqual({ mutedUntil: null, ban: null });
+        });
+
+        test('spends invite uses until none are left', async () => {
+            await state.createInvite('secret', 'code', { createdBy: 'user:1', expiresAt: null, maxUses: 1 });
+
+            expect(await state.redeemInvite('secret', 'code', 'user:2')).toBe(true);
+            expect(await state.redeemInvite('secret', 'code', 'user:3')).toBe(false);
+            expect((await state.getRoomInfo('secret')).allowlist).toEqual(['user:2']);
+        });
+    });
+
+    describe('saved room settings', () => {
+        let dir;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'room-state-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            jest.restoreAllMocks();
+        });
+
+        test('are restored on start, without guests on allowlists or in roles', async () => {
+            const roomsPath = path.join(dir, 'rooms.json');
+            state = createLocalState({ roomsPath });
+            await state.updateRoomInfo('secret', { visibility: 'private', passwordHash: 'scrypt$aa$bb' });
+            await state.setRoomMember('secret', 'user:1', true);
+            await state.setRoomMember('secret', 'guest:gus', true);
+            await state.setRoomOwner('secret', 'user:1');
+            await state.setRoomModerator('secret', 'guest:gus', true);
+            await state.banUser('secret', 'guest:gus', { by: 'user:1', reason: 'spam', bannedAt: 1 });
+
+            const restored = createLocalState({ roomsPath });
+
+            expect(await restored.getRoomInfo('secret')).toMatchObject({ visibility: 'private', passwordHash: 'scrypt$aa$bb', allowlist: ['user:1'] });
+            expect(await restored.getRoomRoles('secret')).toEqual({ owner: 'user:1', moderators: [] });
+            expect((await restored.getRestrictions('secret', 'guest:gus')).ban).toMatchObject({ reason: 'spam' });
+        });
+
+        test('refuse to start from a file that cannot be read', () => {
+            const roomsPath = path.join(dir, 'rooms.json');
+            fs.writeFileSync(roomsPath, '{ not json');
+
+            expect(() => createLocalState({ roomsPath })).toThrow();
+        });
+    });
+
+    describe('uploads and nonces', () => {
+        test('caps the bytes a user has waiting to be sent', async () => {
+            expect(await state.reserveUpload('user:1', 'a', 600, 1000)).toBe(true);
+            expect(await state.reserveUpload('user:1', 'b', 600, 1000)).toBe(false);
+            expect(await state.reserveUpload('user:2', 'c', 600, 1000)).toBe(true);
+
+            await state.releaseUpload('user:1', 'a');
+            expect(await state.reserveUpload('user:1', 'b', 600, 1000)).toBe(true);
+        });
+
+        test('accepts each nonce once until it expires', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+            expect(await state.useNonce('nonce-1', 1000)).toBe(true);
+            expect(await state.useNonce('nonce-1', 1000)).toBe(false);
+
+            now.mockReturnValue(1000000 + 61000);
+            expect(await state.useNonce('nonce-1', 1000)).toBe(true);
+            now.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMessageStore } = require('../lib/store');
+
+const message = (id, extra = {}) => ({ id, type: 'message', content: `text ${id}`, timestamp: new Date().toISOString(), ...extra });
+const ids = (messages) => messages.map(stored => stored.id);
+
+// better-sqlite3 is an optional dependency
+const hasSqlite = (() => {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+describe.each(hasSqlite ? ['memory', 'file', 'sqlite'] : ['memory', 'file'])('%s message store', (driver) => {
+    let dir, store;
+
+    const open = (options = {}) => createMessageStore({
+        driver,
+        path: path.join(dir, driver === 'sqlite' ? 'messages.sqlite' : 'messages.jsonl'),
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-store-'));
+        store = open();
+        ['m1', 'm2', 'm3', 'm4', 'm5'].forEach(id => store.append('general', message(id)));
+        store.append('random', message('r1'));
+    });
+
+    afterEach(() => {
+        store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('returns the newest messages of a room, oldest first', () => {
+        expect(ids(store.getRecent('general', 3))).toEqual(['m3', 'm4', 'm5']);
+        expect(ids(store.getRecent('general', 10))).toEqual(['m1', 'm2', 'm3', 'm4', 'm5']);
+        expect(store.getRecent('empty', 10)).toEqual([]);
+    });
+
+    test('pages backwards from a cursor, excluding the cursor itself', () => {
+        expect(ids(store.getRecent('general', 2, 'm4'))).toEqual(['m2', 'm3']);
+        expect(ids(store.getRecent('general', 2, 'm2'))).toEqual(['m1']);
+        expect(store.getRecent('general', 2, 'm1')).toEqual([]);
+    });
+
+    test('returns nothing for a cursor that is unknown or in another room', () => {
+        expect(store.getRecent('general', 2, 'missing')).toEqual([]);
+        expect(store.getRecent('general', 2, 'r1')).toEqual([]);
+    });
+
+    test('merges updates into stored messages', () => {
+        expect(store.update('general', 'm2', { content: 'edited', edited: true })).toMatchObject({ id: 'm2', content: 'edited', edited: true });
+        expect(store.get('general', 'm2')).toMatchObject({ content: 'edited', type: 'message' });
+        expect(store.update('general', 'missing', { content: 'x' })).toBeNull();
+        expect(store.get('random', 'm2')).toBeNull();
+    });
+
+    test('counts chat messages after a read position', () => {
+        store.append('general', { id: 's1', type: 'system', content: 'alice joined' });
+        store.update('general', 'm5', { deleted: true });
+
+        expect(store.count('general')).toBe(6);
+        expect(store.countAfter('general', 'm2')).toBe(2);
+        expect(store.countAfter('general', null)).toBe(4);
+        expect(store.countAfter('general', 'missing')).toBe(4);
+    });
+
+    test('returns the newest replies of a thread', () => {
+        ['t1', 't2', 't3'].forEach(id => store.append('general', message(id, { threadId: 'm1' })));
+
+        expect(ids(store.getThread('general', 'm1', 2))).toEqual(['t2', 't3']);
+        expect(store.getThread('general', 'm2', 2)).toEqual([]);
+    });
+
+    test('lists rooms with history', () => {
+        expect(store.listRooms().sort()).toEqual(['general', 'random']);
+    });
+
+    test('lists direct messages not yet delivered to a user until they are', () => {
+        store.append('dm:user:1|user:2', message('d1', { toKey: 'user:2', deliveredAt: null }));
+        store.append('dm:user:1|user:2', message('d2', { toKey: 'user:1', deliveredAt: null }));
+        store.append('dm:user:2|user:3', message('d3', { toKey: 'user:2', deliveredAt: null }));
+        store.append('dm:user:2|user:3', message('d4', { toKey: 'user:2', deliveredAt: new Date().toISOString() }));
+
+        expect(store.listUndelivered('user:2').map(({ room, message: stored }) => [room, stored.id])).toEqual([
+            ['dm:user:1|user:2', 'd1'],
+            ['dm:user:2|user:3', 'd3']
+        ]);
+
+        store.update('dm:user:1|user:2', 'd1', { deliveredAt: new Date().toISOString() });
+        expect(ids(store.listUndelivered('user:2').map(pending => pending.message))).toEqual(['d3']);
+        expect(store.listUndelivered('user:9')).toEqual([]);
+    });
+
+    if (driver !== 'memory') {
+        test('keeps history and updates across a restart', () => {
+            store.update('general', 'm3', { content: 'edited' });
+            store.close();
+
+            store = open();
+            expect(ids(store.getRecent('general', 2, 'm4'))).toEqual(['m2', 'm3']);
+            expect(store.get('general', 'm3')).toMatchObject({ content: 'edited' });
+        });
+    }
+
+    if (driver !== 'sqlite') {
+        test('keeps only the newest messages of each room', () => {
+            store.close();
+            store = open({ maxPerRoom: 3 });
+            ['n1', 'n2', 'n3', 'n4'].forEach(id => store.append('capped', message(id)));
+
+            expect(ids(store.getRecent('capped', 10))).toEqual(['n2', 'n3', 'n4']);
+            expect(store.getRecent('capped', 10, 'n1')).toEqual([]);
+        });
+    }
+
+    if (driver === 'file') {
+        test('compacts its log to the kept messages when opened', () => {
+            store.update('general', 'm5', { content: 'edited' });
+            store.close();
+
+            store = open({ maxPerRoom: 2 });
+            const lines = fs.readFileSync(path.join(dir, 'messages.jsonl'), 'utf8').trim().split('\n');
+
+            expect(lines.map(line => JSON.parse(line).message.id)).toEqual(['m4', 'm5', 'r1']);
+            expect(store.get('general', 'm5')).toMatchObject({ content: 'edited' });
+        });
+    }
+});
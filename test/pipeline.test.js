@@ -0,0 +1,112 @@
+const { createMessagePipeline } = require('../lib/pipeline');
+
+const ROOM = { kind: 'room', room: 'general', senderKey: 'user:1' };
+
+const message = (content, extra = {}) => ({ id: 'msg_1', content, ...extra });
+
+describe('createMessagePipeline', () => {
+    test('runs stages in order and merges their changes', () => {
+        const pipeline = createMessagePipeline({ stages: [] });
+        pipeline.use({ name: 'upper', process: (current) => ({ changes: { content: current.content.toUpperCase() } }) });
+        pipeline.use({ name: 'suffix', process: (current) => ({ changes: { content: `${current.content}!` } }) });
+
+        expect(pipeline.process(message('hi'), ROOM)).toEqual({ message: message('HI!'), rejected: null, flags: [] });
+    });
+
+    test('stops at the first rejection and reports flags', () => {
+        const later = jest.fn();
+        const pipeline = createMessagePipeline({ stages: [] });
+        pipeline.use({ name: 'review', process: () => ({ flag: 'Looks odd' }) });
+        pipeline.use({ name: 'block', process: () => ({ reject: 'No thanks' }) });
+        pipeline.use({ name: 'later', process: later });
+
+        expect(pipeline.process(message('hi'), ROOM)).toMatchObject({
+            rejected: { stage: 'block', reason: 'No thanks' },
+            flags: [{ stage: 'review', reason: 'Looks odd' }]
+        });
+        expect(later).not.toHaveBeenCalled();
+        expect(pipeline.status()).toMatchObject({ processed: 1, rejected: 1, rejectedByStage: { block: 1 }, flaggedByStage: { review: 1 } });
+    });
+
+    test('refuses a misconfigured stage', () => {
+        expect(() => createMessagePipeline({ stages: ['words'], words: { mode: 'shout' } })).toThrow('Unknown word filter mode: shout');
+    });
+});
+
+describe('word filter', () => {
+    const filter = (mode) => createMessagePipeline({ stages: ['words'], words: { list: ['darn', 'heck'], mode } });
+
+    test('masks whole words regardless of case', () => {
+        const { message: filtered } = filter('mask').process(message('Darn it, what the HECK. Darning socks is fine'), ROOM);
+        expect(filtered.content).toBe('**** it, what the ****. Darning socks is fine');
+    });
+
+    test('refuses or flags instead of masking when configured to', () => {
+        expect(filter('reject').process(message('oh darn'), ROOM).rejected).toEqual({ stage: 'words', reason: 'Message contains blocked words' });
+
+        const flagged = filter('flag').process(message('oh darn'), ROOM);
+        expect(flagged).toMatchObject({ message: { content: 'oh darn' }, rejected: null, flags: [{ stage: 'words' }] });
+    });
+});
+
+describe('link filter', () => {
+    const pipeline = createMessagePipeline({ stages: ['links'], links: { rooms: ['general'], allowedDomains: ['example.com'] } });
+
+    test('refuses links in blocked rooms unless every link is to an allowed domain', () => {
+        expect(pipeline.process(message('see https://evil.test/x'), ROOM).rejected).toEqual({ stage: 'links', reason: 'Links are not allowed in general' });
+        expect(pipeline.process(message('see www.evil.test'), ROOM).rejected).not.toBeNull();
+        expect(pipeline.process(message('see https://docs.example.com/a and https://example.com'), ROOM).rejected).toBeNull();
+    });
+
+    test('lets links through in other rooms and direct messages', () => {
+        expect(pipeline.process(message('https://evil.test'), { ...ROOM, room: 'random' }).rejected).toBeNull();
+        expect(pipeline.process(message('https://evil.test'), { kind: 'private', room: null, senderKey: 'user:1' }).rejected).toBeNull();
+    });
+});
+
+describe('mention limit', () => {
+    test('counts each person once', () => {
+        const pipeline = createMessagePipeline({ stages: ['mentions'], mentions: { maxMentions: 2 } });
+
+        expect(pipeline.process(message('@alice @Alice @bob'), ROOM).rejected).toBeNull();
+        expect(pipeline.process(message('@alice @bob @carol'), ROOM).rejected).toEqual({
+            stage: 'mentions',
+            reason: 'Too many mentions (at most 2 people per message)'
+        });
+    });
+});
+
+describe('duplicate filter', () => {
+    let pipeline;
+
+    beforeEach(() => {
+        pipeline = createMessagePipeline({ stages: ['duplicates'], duplicates: { maxRepeats: 2, windowSeconds: 30 } });
+    });
+
+    test('refuses a sender repeating a message, ignoring case and spacing', () => {
+        expect(pipeline.process(message('Hello there'), ROOM).rejected).toBeNull();
+        expect(pipeline.process(message('hello   THERE '), ROOM).rejected).toBeNull();
+        expect(pipeline.process(message('hello there'), ROOM).rejected).toEqual({ stage: 'duplicates', reason: 'You already sent that message' });
+
+        // Others may say the same thing
+        expect(pipeline.process(message('hello there'), { ...ROOM, senderKey: 'user:2' }).rejected).toBeNull();
+    });
+
+    test('forgets messages once the window has passed', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+        pipeline.process(message('again'), ROOM);
+        pipeline.process(message('again'), ROOM);
+
+        now.mockReturnValue(1000000 + 31000);
+        expect(pipeline.process(message('again'), ROOM).rejected).toBeNull();
+        now.mockRestore();
+    });
+
+    test('does not count edits, messages without a sender or different attachments', () => {
+        for (let i = 0; i < 3; i++) {
+            expect(pipeline.process(message('same'), { ...ROOM, kind: 'edit' }).rejected).toBeNull();
+            expect(pipeline.process(message('same'), { kind: 'laravel', room: 'general', senderKey: null }).rejected).toBeNull();
+            expect(pipeline.process(message('same', { attachments: [{ id: `file${i}` }] }), ROOM).rejected).toBeNull();
+        }
+    });
+});
@@ -0,0 +1,49 @@
+const { createRateLimiter } = require('../lib/rateLimiter');
+
+const RULES = { send_message: { capacity: 2, perSecond: 0.001 } };
+
+describe('createRateLimiter', () => {
+    let limiter;
+
+    afterEach(() => {
+        limiter.stop();
+    });
+
+    test('bans a flooding user without banning their address', () => {
+        limiter = createRateLimiter({ rules: RULES, banThreshold: 3 });
+        const flooder = { socketId: 's1', userKey: 'guest:flooder', address: '10.0.0.1' };
+
+        let result = null;
+        for (let i = 0; i < 5; i++) {
+            result = limiter.consume('send_message', flooder);
+        }
+
+        expect(result).toMatchObject({ banned: true });
+        expect(limiter.banRemaining({ userKey: 'guest:flooder' })).toBeGreaterThan(0);
+        expect(limiter.banRemaining({ address: '10.0.0.1' })).toBe(0);
+
+        // A neighbour behind the same address is unaffected
+        const neighbour = { socketId: 's2', userKey: 'guest:neighbour', address: '10.0.0.1' };
+        expect(limiter.consume('send_message', neighbour)).toBeNull();
+    });
+
+    test('bans an address only when everyone behind it goes too fast', () => {
+        limiter = createRateLimiter({ rules: RULES, ipMultiplier: 2, banThreshold: 100, addressBanThreshold: 2 });
+
+        const results = [];
+        for (let i = 0; i < 7; i++) {
+            results.push(limiter.consume('send_message', { socketId: `s${i}`, userKey: `guest:u${i}`, address: '10.0.0.2' }));
+        }
+
+        // Four tokens in the address bucket, then two strikes against it
+        expect(results.slice(0, 4)).toEqual([null, null, null, null]);
+        expect(results[4]).toMatchObject({ scope: 'address', banned: false });
+        expect(results[5]).toMatchObject({ scope: 'address', banned: true });
+        expect(limiter.banRemaining({ address: '10.0.0.2' })).toBeGreaterThan(0);
+    });
+
+    test('uses a much higher threshold for addresses by default', () => {
+        limiter = createRateLimiter({ banThreshold: 20, ipMultiplier: 5 });
+        expect(limiter.status()).toMatchObject({ banThreshold: 20, addressBanThreshold: 100 });
+    });
+});
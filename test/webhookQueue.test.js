@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createWebhookQueue } = require('../lib/webhookQueue');
+const { verifyRequestSignature } = require('../lib/auth');
+
+const SECRET = 'webhook-secret';
+
+// A local endpoint that answers each request with the next status in
+// `statuses` (repeating the last one) and records what it received
+const startStub = async (statuses) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body, at: Date.now() });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { requests, url: `http://127.0.0.1:${server.address().port}/api/messages?source=chat`, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+const waitFor = async (condition, timeout = 3000) => {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for the webhook queue');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('createWebhookQueue', () => {
+    let dir, stub, queue;
+
+    const makeQueue = (options = {}) => createWebhookQueue({
+        url: stub.url,
+        secret: SECRET,
+        path: path.join(dir, 'queue.json'),
+        deadLetterPath: path.join(dir, 'dead-letter.jsonl'),
+        baseDelay: 20,
+        ...options
+    });
+
+    const readDeadLetters = () => fs.readFileSync(path.join(dir, 'dead-letter.jsonl'), 'utf8')
+        .trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+    });
+
+    afterEach(async () => {
+        if (queue) queue.stop();
+        if (stub) await stub.close();
+        queue = stub = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('posts each job signed over its method, path, timestamp, nonce and body', async () => {
+        stub = await startStub([200]);
+        queue = makeQueue();
+        const id = queue.enqueue('message.created', { id: 'msg_1', content: 'hello' });
+
+        await waitFor(() => queue.status().delivered === 1);
+        const [request] = stub.requests;
+
+        expect(request.headers).toMatchObject({ 'x-webhook-id': id, 'x-webhook-event': 'message.created' });
+        expect(JSON.parse(request.body)).toMatchObject({ event: 'message.created', data: { id: 'msg_1', content: 'hello' } });
+        expect(() => verifyRequestSignature({
+            method: 'POST',
+            path: request.url,
+            timestamp: request.headers['x-timestamp'],
+            nonce: request.headers['x-nonce'],
+            signature: request.headers['x-signature'],
+            body: request.body
+        }, SECRET)).not.toThrow();
+        expect(() => verifyRequestSignature({
+            method: 'POST',
+            path: '/api/other',
+            timestamp: request.headers['x-timestamp'],
+            nonce: request.headers['x-nonce'],
+            signature: request.headers['x-signature'],
+            body: request.body
+        }, SECRET)).toThrow('Invalid request signature');
+        expect(queue.status()).toMatchObject({ pending: 0, nextAttemptAt: null });
+    });
+
+    test('retries server errors with growing delays and a fresh nonce', async () => {
+        stub = await startStub([500, 503, 200]);
+        queue = makeQueue();
+        queue.enqueue('message.created', { id: 'msg_1' });
+
+        await waitFor(() => queue.status().delivered === 1);
+        const [first, second, third] = stub.requests;
+
+        expect(stub.requests).toHaveLength(3);
+        expect(second.at - first.at).toBeGreaterThanOrEqual(20);
+        expect(third.at - second.at).toBeGreaterThanOrEqual(40);
+        expect(new Set(stub.requests.map(request => request.headers['x-nonce'])).size).toBe(3);
+        expect(queue.status()).toMatchObject({ pending: 0, failedAttempts: 2, deadLettered: 0 });
+    });
+
+    test('dead-letters a job after its last attempt', async () => {
+        stub = await startStub([500]);
+        queue = makeQueue({ maxAttempts: 3 });
+        const id = queue.enqueue('message.created', { id: 'msg_1' });
+
+        await waitFor(() => queue.status().deadLettered === 1);
+
+        expect(stub.requests).toHaveLength(3);
+        expect(readDeadLetters()).toEqual([
+            expect.objectContaining({ id, attempts: 3, reason: 'Gave up after 3 attempts: HTTP 500', payload: { id: 'msg_1' } })
+        ]);
+        expect(queue.status()).toMatchObject({ pending: 0, recentDeadLetters: [expect.objectContaining({ id, attempts: 3 })] });
+        expect(queue.status().recentDeadLetters[0]).not.toHaveProperty('payload');
+    });
+
+    test('dead-letters a rejected job without retrying it', async () => {
+        stub = await startStub([422]);
+        queue = makeQueue();
+        queue.enqueue('message.created', { id: 'msg_1' });
+
+        await waitFor(() => queue.status().deadLettered === 1);
+
+        expect(stub.requests).toHaveLength(1);
+        expect(readDeadLetters()[0]).toMatchObject({ attempts: 1, reason: 'HTTP 422' });
+    });
+
+    test('restores pending jobs and their retry schedule after a restart', async () => {
+        stub = await startStub([500, 200]);
+        queue = makeQueue({ baseDelay: 60000 });
+        const id = queue.enqueue('message.created', { id: 'msg_1' });
+        queue.enqueue('message.created', { id: 'msg_2' });
+
+        await waitFor(() => queue.status().failedAttempts === 1 && queue.status().delivered === 1);
+        queue.stop();
+
+        queue = makeQueue({ baseDelay: 60000 });
+        const status = queue.status();
+
+        expect(status.pending).toBe(1);
+        expect(Date.parse(status.nextAttemptAt)).toBeGreaterThan(Date.now() + 50000);
+        expect(fs.readFileSync(path.join(dir, 'queue.json'), 'utf8').trim().split('\n')).toHaveLength(1);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'queue.json'), 'utf8'))).toMatchObject({ op: 'add', job: { id, attempts: 1 } });
+    });
+
+    test('restores a queue written as a single JSON array', async () => {
+        stub = await startStub([200]);
+        const job = { id: 'job-1', event: 'message.created', payload: { id: 'msg_1' }, attempts: 2, createdAt: new Date().toISOString(), nextAttemptAt: Date.now(), lastError: 'HTTP 500' };
+        fs.writeFileSync(path.join(dir, 'queue.json'), JSON.stringify([job]));
+
+        queue = makeQueue();
+        await waitFor(() => queue.status().delivered === 1);
+
+        expect(stub.requests[0].headers['x-webhook-id']).toBe('job-1');
+    });
+});